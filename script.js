@@ -1757,6 +1757,7 @@ document.addEventListener('DOMContentLoaded', function() {
     if (introNavLink) {
         introNavLink.classList.add('active');
     }
+    recordTutorialEvent('section', { section: 'intro' });
     
     updateProgress();
     updateNavigationButtons();
@@ -1832,6 +1833,7 @@ function showSection(index) {
     
     // Save progress
     saveProgress();
+    recordTutorialEvent('section', { section: sections[index] });
 }
 
 function nextSection() {
@@ -2197,29 +2199,340 @@ function simulateGitPush() {
 // INTERACTIVE GIT SIMULATOR - HANDS-ON LEARNING
 // ============================================
 
-// Simulator state
-let simulatorState = {
-    workingFiles: [
-        { name: 'Get-SystemInfo.ps1', status: 'modified', icon: '📄' },
-        { name: 'Install-Software.ps1', status: 'new', icon: '📄' },
-        { name: 'README.md', status: 'modified', icon: '📋' }
+// Starter repository: the commits already pushed to GitHub, plus the
+// learner's uncommitted edits on top of them
+const simulatorStarterRepo = {
+    branch: 'feature/powershell-improvements',
+    // Branch tips, as indexes into `commits`
+    branches: { 'feature/powershell-improvements': 0, main: 1 },
+    // Where origin's branches really are - ahead of what was last fetched
+    remoteBranches: { 'feature/powershell-improvements': 0, main: 2 },
+    commits: [
+        {
+            message: 'Initial PowerShell utilities',
+            timestamp: 1755097200,
+            files: {
+                'Get-SystemInfo.ps1': codeExamples['ps-initial'] + '\n',
+                'README.md': `# PowerShell Utilities
+
+A collection of PowerShell scripts for everyday system administration.
+
+## Scripts
+
+- Get-SystemInfo.ps1 - Reports CPU, memory and disk information
+`
+            }
+        },
+        {
+            // A teammate's change on main that touches the same README lines
+            message: 'Document PowerShell version requirement',
+            parent: 0,
+            timestamp: 1755183600,
+            files: {
+                'Get-SystemInfo.ps1': codeExamples['ps-initial'] + '\n',
+                'README.md': `# PowerShell Utilities
+
+A collection of PowerShell scripts for everyday system administration.
+
+## Scripts
+
+- Get-SystemInfo.ps1 - Reports CPU, memory and disk information
+
+## Requirements
+
+PowerShell 7.2 or later on Windows.
+`
+            }
+        },
+        {
+            // Pushed to origin by a teammate after the last fetch
+            message: 'Add contributing guide',
+            parent: 1,
+            timestamp: 1755270000,
+            author: 'teammate',
+            files: {
+                'CONTRIBUTING.md': `# Contributing
+
+1. Create a feature branch from main.
+2. Keep commits small and focused.
+3. Open a pull request and ask a teammate for review.
+`,
+                'Get-SystemInfo.ps1': codeExamples['ps-initial'] + '\n',
+                'README.md': `# PowerShell Utilities
+
+A collection of PowerShell scripts for everyday system administration.
+
+## Scripts
+
+- Get-SystemInfo.ps1 - Reports CPU, memory and disk information
+
+## Requirements
+
+PowerShell 7.2 or later on Windows.
+`
+            }
+        }
     ],
-    stagedFiles: [],
+    workingTree: {
+        'Get-SystemInfo.ps1': `# Get-SystemInfo.ps1 - Initial version
+# Basic system information reporter
+
+$computerName = $env:COMPUTERNAME
+$cpu = Get-CimInstance -ClassName Win32_Processor | Select-Object -First 1
+$memory = Get-CimInstance -ClassName Win32_OperatingSystem
+$disk = Get-CimInstance -ClassName Win32_LogicalDisk -Filter "DriveType=3"
+
+Write-Host "=== System Information Report ==="
+Write-Host "Computer: $computerName"
+Write-Host "CPU: $($cpu.Name) ($($cpu.NumberOfCores) cores)"
+Write-Host "Memory: $([Math]::Round($memory.TotalVisibleMemorySize/1MB, 2)) GB"
+Write-Host "Disk Space:"
+foreach ($drive in $disk) {
+    $freeGB = [Math]::Round($drive.FreeSpace/1GB, 2)
+    $totalGB = [Math]::Round($drive.Size/1GB, 2)
+    Write-Host "  $($drive.DeviceID) $freeGB GB free of $totalGB GB"
+}
+`,
+        'Install-Software.ps1': `# Install-Software.ps1 - Installs packages with winget
+param(
+    [Parameter(Mandatory)]
+    [string[]]$PackageId
+)
+
+foreach ($id in $PackageId) {
+    Write-Host "Installing $id..."
+    winget install --id $id --silent --accept-package-agreements
+}
+`,
+        'README.md': `# PowerShell Utilities
+
+A collection of PowerShell scripts for everyday system administration.
+
+## Scripts
+
+- Get-SystemInfo.ps1 - Reports CPU, memory and disk information
+- Install-Software.ps1 - Installs packages with winget
+
+## Usage
+
+Run any script from a PowerShell 7 prompt, for example:
+./Get-SystemInfo.ps1
+`
+    }
+};
+
+// Author of the starter repositories' history; commits made in the
+// simulator are signed with whatever user.name and user.email are configured
+const simulatorIdentity = { name: 'Norman Borlaug', email: 'nborlaug@example.com' };
+
+// Colleague whose commits show up on origin
+const simulatorTeammate = { name: 'Grace Hopper', email: 'ghopper@example.com' };
+
+// Remote the simulated branch pushes to (starters can name their own with `remoteUrl`)
+const simulatorRemoteUrl = 'https://github.com/nborlaug/powershell-utilities.git';
+
+// The Python scraper from the code examples: a feature branch that restructures
+// it, while a teammate pinned the dependencies on main
+const pythonScraperFiles = {
+    '.gitignore': '__pycache__/\n.venv/\n',
+    'README.md': `# Web Scraper
+
+Collects the top news headlines and a weather summary.
+
+## Setup
+
+pip install -r requirements.txt
+`,
+    'requirements.txt': 'requests\nbeautifulsoup4\n',
+    'web_scraper.py': codeExamples['py-basic'] + '\n'
+};
+
+const pythonScraperRepo = {
+    branch: 'feature/structured-scraper',
+    branches: { main: 1, 'feature/structured-scraper': 2 },
+    remoteUrl: 'https://github.com/nborlaug/web-scraper.git',
     commits: [
-        { hash: 'a1b2c3d', message: 'Initial PowerShell utilities', files: 2 }
+        {
+            message: 'Initial web scraper',
+            timestamp: 1755097200,
+            files: pythonScraperFiles
+        },
+        {
+            message: 'Pin dependency versions',
+            timestamp: 1755183600,
+            author: 'teammate',
+            files: { ...pythonScraperFiles, 'requirements.txt': 'requests==2.32.3\nbeautifulsoup4==4.12.3\n' }
+        },
+        {
+            message: 'Split the scraper into classes',
+            parent: 0,
+            timestamp: 1755190800,
+            files: { ...pythonScraperFiles, 'web_scraper.py': codeExamples['py-structured'] + '\n' }
+        }
     ],
-    achievements: {
-        'first-status': false,
-        'first-add': false,
-        'first-commit': false,
-        'clean-slate': false
+    // A test run left its output and bytecode behind, and the README is half updated
+    workingTree: {
+        ...pythonScraperFiles,
+        'web_scraper.py': codeExamples['py-structured'] + '\n',
+        'README.md': `${pythonScraperFiles['README.md']}
+## Usage
+
+python web_scraper.py
+
+Results are saved to data/scraper_results.json.
+`,
+        '__pycache__/web_scraper.cpython-312.pyc': '(compiled bytecode)\n',
+        'data/scraper_results.json': '{\n  "headlines": [],\n  "weather": {}\n}\n'
     }
 };
 
+// A small static site: dark mode is being built on a branch while main moved on
+const webProjectFiles = {
+    '.gitignore': 'node_modules/\ndist/\n.env\n',
+    'README.md': `# Harvest Tracker
+
+A static page for logging crop yields. Open index.html in a browser.
+`,
+    'index.html': `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Harvest Tracker</title>
+    <link rel="stylesheet" href="css/styles.css">
+</head>
+<body>
+    <header>
+        <h1>Harvest Tracker</h1>
+    </header>
+    <main id="app"></main>
+    <footer>&copy; 2024 Harvest Tracker</footer>
+    <script src="js/app.js"></script>
+</body>
+</html>
+`,
+    'css/styles.css': `body {
+    font-family: system-ui, sans-serif;
+    margin: 0;
+    color: #1f2937;
+    background: #ffffff;
+}
+
+header, footer {
+    padding: 1rem 2rem;
+}
+`,
+    'js/app.js': `document.getElementById('app').textContent = 'No harvests logged yet.';
+`
+};
+
+const webProjectRepo = {
+    branch: 'feature/dark-mode',
+    branches: { main: 2, 'feature/dark-mode': 1 },
+    remoteUrl: 'https://github.com/nborlaug/harvest-tracker.git',
+    commits: [
+        {
+            message: 'Create the landing page',
+            timestamp: 1755097200,
+            files: webProjectFiles
+        },
+        {
+            message: 'Add a dark mode toggle',
+            timestamp: 1755183600,
+            files: {
+                ...webProjectFiles,
+                'index.html': webProjectFiles['index.html'].replace('        <h1>Harvest Tracker</h1>\n',
+                    '        <h1>Harvest Tracker</h1>\n        <button id="themeToggle">🌙 Dark mode</button>\n'),
+                'css/styles.css': `${webProjectFiles['css/styles.css']}
+body.dark {
+    color: #f9fafb;
+    background: #111827;
+}
+`,
+                'js/app.js': `${webProjectFiles['js/app.js']}
+document.getElementById('themeToggle').addEventListener('click', () => {
+    document.body.classList.toggle('dark');
+});
+`
+            }
+        },
+        {
+            message: 'Update the footer year',
+            parent: 0,
+            timestamp: 1755190800,
+            author: 'teammate',
+            files: { ...webProjectFiles, 'index.html': webProjectFiles['index.html'].replace('2024', '2025') }
+        }
+    ]
+};
+
+// Nothing committed yet. origin is a freshly created, empty GitHub repository,
+// and the branch is named after init.defaultBranch
+const emptyStarterRepo = {
+    branch: null,
+    branches: {},
+    remoteBranches: {},
+    remoteUrl: 'https://github.com/nborlaug/new-project.git',
+    commits: []
+};
+
+// Starter repositories learners can pick from the simulator's dropdown
+const starterRepoCatalogue = {
+    powershell: { title: 'PowerShell utilities', repo: simulatorStarterRepo },
+    python: { title: 'Python web scraper', repo: pythonScraperRepo },
+    web: { title: 'Web project (HTML, CSS, JavaScript)', repo: webProjectRepo },
+    empty: { title: 'Empty repository (git init)', repo: emptyStarterRepo }
+};
+
+// Simulator state - a real Git repository held in memory:
+// objects   content-addressed store (SHA-1 -> blob/tree/commit)
+// refs      full ref name -> commit SHA
+// HEAD      'ref: refs/heads/<branch>', or a commit SHA when detached
+// index     staged snapshot (path -> blob SHA)
+// workingTree  files on "disk" (path -> content)
+// pendingCommitMessage  message prepared for the next commit (MERGE_MSG / SQUASH_MSG)
+// mergeHead  commit being merged while a merge is in progress (MERGE_HEAD)
+// unmerged   conflicted paths -> { base, ours, theirs } blob hashes (index stages 1-3)
+// stash      stash commits, newest first (stash@{0} is refs/stash)
+// rebase     todo list and progress of a rebase that has stopped or is being edited
+// sequencer  commits still to cherry-pick or revert, and the one stopped on (CHERRY_PICK_HEAD / REVERT_HEAD)
+// origin     the remote: its URL and its own refs/heads/*, sharing our object store
+// upstreams  local branch -> the origin branch it tracks
+// config     repository-level settings (.git/config); --global ones live in globalGitConfig
+// cwd        the terminal's current directory, relative to the repository root ('' is the root)
+// directories  folders made with mkdir; Git never records folders, so empty ones only live here
+function createEmptySimulatorState() {
+    return {
+        objects: {},
+        refs: {},
+        HEAD: null,
+        index: {},
+        workingTree: {},
+        pendingCommitMessage: null,
+        mergeHead: null,
+        unmerged: {},
+        stash: [],
+        rebase: null,
+        sequencer: null,
+        origin: { url: simulatorRemoteUrl, refs: {} },
+        upstreams: {},
+        config: {},
+        cwd: '',
+        directories: []
+    };
+}
+
+let simulatorState = createEmptySimulatorState();
+
+// Resolves once the starter repository has been hashed into the object store
+let simulatorReady = Promise.resolve();
+
 // Initialize simulator on page load
 function initializeGitSimulator() {
     setupDragAndDrop();
-    updateSimulatorDisplay();
+    renderTrophyCase();
+    renderStarterRepoOptions();
+    simulatorReady = (restoreSimulatorState() ? Promise.resolve() : startExercise(0, 0))
+        .catch(error => appendToOutput(`fatal: ${error.message}`, 'error'));
     
     // Add command input event listeners
     const commandInput = document.getElementById('commandInput');
@@ -2229,7 +2542,94 @@ function initializeGitSimulator() {
                 executeCommand();
             }
         });
+        // Shell-style editing: arrow-key history, Tab completion, Ctrl+L clears
+        commandInput.addEventListener('keydown', function(e) {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                browseCommandHistory(e.key === 'ArrowUp' ? -1 : 1);
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                completeCommandInput();
+            } else if (e.ctrlKey && e.key === 'l') {
+                e.preventDefault();
+                clearTerminalOutput();
+            }
+        });
+    }
+    
+    // File editor: Ctrl+S saves, Tab indents instead of leaving the editor
+    const editor = document.getElementById('editorContent');
+    if (editor) {
+        editor.addEventListener('input', updateEditorToolbar);
+        editor.addEventListener('keydown', function(e) {
+            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+                e.preventDefault();
+                saveEditorFile();
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                editor.setRangeText('    ', editor.selectionStart, editor.selectionEnd, 'end');
+                updateEditorToolbar();
+            }
+        });
+    }
+    
+    const newFileInput = document.getElementById('newFileName');
+    if (newFileInput) {
+        newFileInput.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                createWorkingFile();
+            }
+        });
+    }
+}
+
+// Build a fresh repository from a starter definition
+async function loadStarterRepo(starter) {
+    simulatorState = createEmptySimulatorState();
+    if (starter.remoteUrl) simulatorState.origin.url = starter.remoteUrl;
+    
+    let parent = null;
+    const commitHashes = [];
+    for (const commit of starter.commits) {
+        // Each commit builds on the previous entry unless it names its parent
+        if (commit.parent !== undefined) {
+            parent = commitHashes[commit.parent];
+        }
+        const files = {};
+        for (const path of Object.keys(commit.files)) {
+            files[path] = await writeObject({ type: 'blob', content: commit.files[path] });
+        }
+        // Fixed timestamps keep the starter hashes identical on every reset
+        const identity = commit.author === 'teammate' ? simulatorTeammate : simulatorIdentity;
+        const signature = { ...identity, timestamp: commit.timestamp, timezone: '-0500' };
+        parent = await writeObject({
+            type: 'commit',
+            tree: await writeTree(files),
+            parents: parent ? [parent] : [],
+            author: signature,
+            committer: signature,
+            message: commit.message
+        });
+        commitHashes.push(parent);
     }
+    
+    Object.keys(starter.branches).forEach(name => {
+        simulatorState.refs[`refs/heads/${name}`] = commitHashes[starter.branches[name]];
+    });
+    // Only branches that exist on origin get a remote-tracking ref and an upstream
+    const remoteBranches = starter.remoteBranches || starter.branches;
+    const trackingBranches = starter.trackingBranches || starter.branches;
+    Object.keys(remoteBranches).forEach(name => {
+        simulatorState.origin.refs[`refs/heads/${name}`] = commitHashes[remoteBranches[name]];
+        simulatorState.refs[`refs/remotes/origin/${name}`] = commitHashes[trackingBranches[name]];
+        if (name in starter.branches) simulatorState.upstreams[name] = name;
+    });
+    
+    simulatorState.HEAD = `ref: refs/heads/${starter.branch || getDefaultBranchName()}`;
+    simulatorState.index = getCommitFiles(getHeadCommit());
+    simulatorState.workingTree = starter.workingTree
+        ? { ...starter.workingTree }
+        : Object.fromEntries(Object.keys(simulatorState.index).map(path => [path, readObject(simulatorState.index[path]).content]));
 }
 
 // Setup drag and drop functionality
@@ -2305,245 +2705,5337 @@ function handleDrop(e) {
 }
 
 // File operations
-function stageFile(fileName) {
-    const fileIndex = simulatorState.workingFiles.findIndex(f => f.name === fileName);
-    if (fileIndex !== -1) {
-        const file = simulatorState.workingFiles.splice(fileIndex, 1)[0];
-        file.status = 'staged';
-        simulatorState.stagedFiles.push(file);
+async function stageFile(fileName) {
+    const status = getRepoStatus();
+    const isChanged = status.unstaged.some(f => f.path === fileName) ||
+        status.untracked.includes(fileName) ||
+        status.unmerged.some(f => f.path === fileName);
+    if (isChanged) {
+        await stagePath(fileName);
         
         updateSimulatorDisplay();
         updateStatus(`Staged ${fileName} for commit`);
-        
-        if (!simulatorState.achievements['first-add']) {
-            unlockAchievement('first-add');
-        }
+        recordTutorialEvent('add');
+        recordTimelineStep(`(dragged ${fileName} to the staging area)`);
     }
 }
 
 function unstageFile(fileName) {
-    const fileIndex = simulatorState.stagedFiles.findIndex(f => f.name === fileName);
-    if (fileIndex !== -1) {
-        const file = simulatorState.stagedFiles.splice(fileIndex, 1)[0];
-        file.status = file.name.includes('Install-Software') ? 'new' : 'modified';
-        simulatorState.workingFiles.push(file);
+    if (getRepoStatus().staged.some(f => f.path === fileName)) {
+        unstagePath(fileName);
         
         updateSimulatorDisplay();
         updateStatus(`Unstaged ${fileName}`);
+        recordTimelineStep(`(dragged ${fileName} back to the working directory)`);
     }
 }
 
 // Command execution
-function executeCommand() {
+async function executeCommand() {
     const commandInput = document.getElementById('commandInput');
     const command = commandInput.value.trim();
-    const outputDiv = document.getElementById('commandOutput');
     
     if (!command) return;
+    recordCommandHistory(command);
     
     // Add command to output
     appendToOutput(`$ ${command}`, 'command');
     
-    // Process command
-    processGitCommand(command);
-    
     // Clear input
     commandInput.value = '';
+    
+    // Process command
+    await simulatorReady;
+    commandErrors = [];
+    try {
+        await processGitCommand(command);
+    } catch (error) {
+        appendToOutput(`fatal: ${error.message}`, 'error');
+    }
+    explainCommandErrors(commandErrors, command.split(/\s+/)[1]);
+    checkExerciseProgress(command);
+    recordTimelineStep(command);
+    saveSimulatorState();
 }
 
-function processGitCommand(command) {
-    const parts = command.toLowerCase().split(' ');
-    const gitCommand = parts[0];
-    const subCommand = parts[1];
+// ---- Terminal history and completion ----
+
+// Commands entered so far, oldest first. historyPosition === commandHistory.length
+// means the learner is typing a new line, which is kept in historyDraft while browsing.
+let commandHistory = [];
+let historyPosition = 0;
+let historyDraft = '';
+
+// Error lines printed by the command being run, for the explanation panel
+let commandErrors = [];
+
+function recordCommandHistory(command) {
+    if (commandHistory[commandHistory.length - 1] !== command) {
+        commandHistory.push(command);
+    }
+    historyPosition = commandHistory.length;
+    historyDraft = '';
+}
+
+// Up (-1) and Down (+1) arrows step through earlier commands
+function browseCommandHistory(step) {
+    const commandInput = document.getElementById('commandInput');
+    if (historyPosition === commandHistory.length) {
+        historyDraft = commandInput.value;
+    }
+    const position = Math.min(Math.max(historyPosition + step, 0), commandHistory.length);
+    if (position === historyPosition) return;
     
-    if (gitCommand !== 'git') {
-        appendToOutput(`Command not found: ${command}`, 'error');
-        return;
+    historyPosition = position;
+    commandInput.value = position === commandHistory.length ? historyDraft : commandHistory[position];
+    commandInput.setSelectionRange(commandInput.value.length, commandInput.value.length);
+}
+
+// Everything Tab could offer for the word being typed after `words`
+function getCompletionCandidates(words, current) {
+    if (words.length === 0) return ['git', ...Object.keys(shellCommands)];
+    if (words[0] !== 'git') {
+        const shellCommand = shellCommands[words[0]];
+        return shellCommand && shellCommand.complete ? getShellPathCandidates(current, shellCommand.complete === 'directories') : [];
     }
+    if (words.length === 1) return [...Object.keys(gitCommandSpecs), 'help', ...getAliasNames()];
     
-    switch (subCommand) {
-        case 'status':
-            executeGitStatus();
-            break;
-        case 'add':
-            executeGitAdd(parts.slice(2));
-            break;
-        case 'commit':
-            executeGitCommit(parts.slice(2));
-            break;
-        case 'push':
-            executeGitPush();
-            break;
+    const subCommand = words[1];
+    if (subCommand === 'help') return Object.keys(gitCommandSpecs);
+    const spec = gitCommandSpecs[subCommand];
+    if (!spec) return [];
+    
+    if (current.startsWith('-')) {
+        return spec.options.map(option => (option.long ? `--${option.long}` : `-${option.short}`));
+    }
+    
+    const branches = getBranchNames();
+    const remoteBranches = Object.keys(simulatorState.refs)
+        .filter(ref => ref.startsWith('refs/remotes/'))
+        .map(ref => ref.slice('refs/remotes/'.length));
+    // Deleted files still complete, so `git rm` and `git restore` can name them
+    const paths = getShellPathCandidates(current, false, Object.keys(simulatorState.index));
+    
+    if (Array.isArray(spec.complete)) {
+        return words.length === 2 ? spec.complete : simulatorState.stash.map((hash, position) => `stash@{${position}}`);
+    }
+    switch (spec.complete) {
+        case 'paths':
+            return paths;
+        case 'branches':
+            return [...branches, ...remoteBranches];
+        case 'revisions':
+            return ['HEAD', ...branches, ...getTagNames(), ...remoteBranches, ...paths];
+        case 'remotes':
+            return words.length === 2 ? ['origin'] : [...branches, ...getTagNames()];
+        case 'config':
+            // Only the first operand is a key; what follows it is the value
+            if (words.slice(2).some(word => !word.startsWith('-'))) return [];
+            const commonKeys = ['user.name', 'user.email', 'core.editor', 'init.defaultBranch'];
+            const configuredKeys = [...Object.keys(globalGitConfig), ...Object.keys(simulatorState.config)];
+            return [...commonKeys, ...configuredKeys.filter(key => !commonKeys.some(common => normalizeConfigKey(common) === key))];
         default:
-            appendToOutput(`Unknown git command: ${subCommand}`, 'error');
+            return [];
     }
 }
 
-function executeGitStatus() {
-    let output = 'On branch feature/powershell-improvements\n\n';
-    
-    if (simulatorState.stagedFiles.length > 0) {
-        output += 'Changes to be committed:\n';
-        output += '  (use "git restore --staged <file>..." to unstage)\n\n';
-        simulatorState.stagedFiles.forEach(file => {
-            const status = file.status === 'staged' && file.name.includes('Install-Software') ? 'new file' : 'modified';
-            output += `\t${status}:   ${file.name}\n`;
+// Tab: complete the word before the cursor, or list the choices when it is ambiguous
+function completeCommandInput() {
+    const commandInput = document.getElementById('commandInput');
+    const before = commandInput.value.slice(0, commandInput.selectionStart);
+    const after = commandInput.value.slice(commandInput.selectionStart);
+    const words = before.split(/\s+/);
+    const current = words.pop();
+    
+    const matches = [...new Set(getCompletionCandidates(words.filter(Boolean), current))]
+        .filter(candidate => candidate.startsWith(current))
+        .sort();
+    if (matches.length === 0) return;
+    
+    let completion;
+    if (matches.length === 1) {
+        completion = matches[0].endsWith('/') ? matches[0] : `${matches[0]} `;
+    } else {
+        completion = matches.reduce((prefix, match) => {
+            let length = 0;
+            while (length < prefix.length && prefix[length] === match[length]) length++;
+            return prefix.slice(0, length);
         });
-        output += '\n';
+        if (completion === current) {
+            appendToOutput(matches.join('  '), 'output');
+            return;
+        }
     }
     
-    if (simulatorState.workingFiles.length > 0) {
-        if (simulatorState.workingFiles.some(f => f.status === 'modified')) {
-            output += 'Changes not staged for commit:\n';
-            output += '  (use "git add <file>..." to update what will be committed)\n';
-            output += '  (use "git restore <file>..." to discard changes in working directory)\n\n';
-            simulatorState.workingFiles.filter(f => f.status === 'modified').forEach(file => {
-                output += `\tmodified:   ${file.name}\n`;
-            });
-            output += '\n';
-        }
-        
-        const newFiles = simulatorState.workingFiles.filter(f => f.status === 'new');
-        if (newFiles.length > 0) {
-            output += 'Untracked files:\n';
-            output += '  (use "git add <file>..." to include in what will be committed)\n\n';
-            newFiles.forEach(file => {
-                output += `\t${file.name}\n`;
-            });
-            output += '\n';
+    const completed = before.slice(0, before.length - current.length) + completion;
+    commandInput.value = completed + after;
+    commandInput.setSelectionRange(completed.length, completed.length);
+}
+
+// Paths complete one directory level at a time, relative to the current
+// directory, like a shell
+function getShellPathCandidates(current, directoriesOnly, extraPaths = []) {
+    const typedDirectory = current.slice(0, current.lastIndexOf('/') + 1);
+    const directory = resolveShellPath(typedDirectory || '.');
+    if (directory === null) return [];
+    const prefix = directory ? `${directory}/` : '';
+    
+    const names = new Map(listDirectoryEntries(directory).map(entry => [entry.name, entry.isDirectory]));
+    extraPaths.filter(path => path.startsWith(prefix)).forEach(path => {
+        const rest = path.slice(prefix.length);
+        const slash = rest.indexOf('/');
+        const name = slash === -1 ? rest : rest.slice(0, slash);
+        if (!names.has(name)) names.set(name, slash !== -1);
+    });
+    return [...names.keys()]
+        .filter(name => names.get(name) || !directoriesOnly)
+        .map(name => `${typedDirectory}${name}${names.get(name) ? '/' : ''}`);
+}
+
+function clearTerminalOutput() {
+    document.getElementById('commandOutput').innerHTML = '';
+    terminalScrollback = [];
+    hideErrorExplanation();
+}
+
+// ---- Command line parsing ----
+
+// Split a command line the way a POSIX shell does: whitespace separates
+// words, '...' is literal, "..." allows \" \\ \$ and \` escapes, and a
+// backslash outside quotes escapes the next character. Returns null (after
+// printing the shell's error) when a quote is left open.
+function tokenizeCommand(line) {
+    const tokens = [];
+    let current = '';
+    let inWord = false;
+    let quote = null;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote === "'") {
+            if (char === "'") quote = null;
+            else current += char;
+        } else if (quote === '"') {
+            if (char === '"') {
+                quote = null;
+            } else if (char === '\\' && i + 1 < line.length && '"\\$`'.includes(line[i + 1])) {
+                current += line[++i];
+            } else {
+                current += char;
+            }
+        } else if (/\s/.test(char)) {
+            if (inWord) tokens.push(current);
+            current = '';
+            inWord = false;
+        } else {
+            inWord = true;
+            if (char === "'" || char === '"') {
+                quote = char;
+            } else if (char === '\\' && i + 1 < line.length) {
+                current += line[++i];
+            } else {
+                current += char;
+            }
         }
     }
     
-    if (simulatorState.workingFiles.length === 0 && simulatorState.stagedFiles.length === 0) {
-        output += 'nothing to commit, working tree clean\n';
-        if (!simulatorState.achievements['clean-slate']) {
-            unlockAchievement('clean-slate');
+    if (quote) {
+        appendToOutput(`bash: unexpected EOF while looking for matching \`${quote}'`, 'error');
+        return null;
+    }
+    if (inWord) tokens.push(current);
+    return tokens;
+}
+
+// Split an unquoted `> file` or `>> file` off the end of a line; the target
+// is left untokenized so the shell can report a missing file name itself
+function splitRedirection(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote) quote = null;
+            else if (char === '\\' && quote === '"') i++;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === '\\') {
+            i++;
+        } else if (char === '>') {
+            const append = line[i + 1] === '>';
+            return { command: line.slice(0, i), append, target: line.slice(i + (append ? 2 : 1)) };
         }
-    } else {
-        output += 'no changes added to commit (use "git add" to stage changes)\n';
     }
+    return { command: line, append: false, target: null };
+}
+
+// Options each simulated git command accepts. `value` options take an
+// argument (-m msg, -mmsg, --message msg or --message=msg) named by the
+// value's placeholder, and `multiple` ones may be repeated; everything else
+// is an on/off switch. `summary` and `help` feed `git help`/`-h`, and
+// `complete` says what Tab offers for the command's operands.
+const gitCommandSpecs = {
+    init: { summary: 'Create an empty Git repository or reinitialize an existing one', usage: 'git init [-q | --quiet] [-b <branch-name> | --initial-branch=<branch-name>] [<directory>]', complete: 'paths', options: [
+        { short: 'q', long: 'quiet', help: 'be quiet' },
+        { short: 'b', long: 'initial-branch', value: 'name', help: 'override the name of the initial branch' }
+    ] },
+    status: { summary: 'Show the working tree status', usage: 'git status [<options>]', complete: 'paths', options: [
+        { long: 'ignored', help: 'show ignored files' }
+    ] },
+    add: { summary: 'Add file contents to the index', usage: 'git add [<options>] [--] <pathspec>...', complete: 'paths', options: [
+        { short: 'A', long: 'all', help: 'add changes from all tracked and untracked files' },
+        { short: 'f', long: 'force', help: 'allow adding otherwise ignored files' }
+    ] },
+    rm: { summary: 'Remove files from the working tree and from the index', usage: 'git rm [-f | --force] [-q | --quiet] [-r] [--cached] [--] <pathspec>...', complete: 'paths', options: [
+        { short: 'f', long: 'force', help: 'override the up-to-date check' },
+        { short: 'q', long: 'quiet', help: 'do not list removed files' },
+        { short: 'r', long: 'recursive', help: 'allow recursive removal' },
+        { long: 'cached', help: 'only remove from the index' }
+    ] },
+    mv: { summary: 'Move or rename a file, a directory, or a symlink', usage: 'git mv [-f] <source>... <destination>', complete: 'paths', options: [
+        { short: 'f', long: 'force', help: 'force move/rename even if target exists' }
+    ] },
+    config: { summary: 'Get and set repository or global options', usage: 'git config [--global | --local] <name> [<value>] | git config [--global | --local] (--list | --unset <name>)', complete: 'config', options: [
+        { long: 'global', help: 'use global config file' },
+        { long: 'local', help: 'use repository config file' },
+        { short: 'l', long: 'list', help: 'list all' },
+        { long: 'unset', help: 'remove a variable: name' },
+        { long: 'show-scope', help: 'show scope of config (global or local)' }
+    ] },
+    'check-ignore': { summary: 'Debug gitignore / exclude files', usage: 'git check-ignore [<options>] <pathname>...', complete: 'paths', options: [
+        { short: 'v', long: 'verbose', help: 'be verbose' },
+        { short: 'n', long: 'non-matching', help: 'show non-matching input paths' },
+        { long: 'no-index', help: 'ignore index when checking' }
+    ] },
+    commit: { summary: 'Record changes to the repository', usage: 'git commit [<options>]', complete: 'paths', options: [
+        { short: 'a', long: 'all', help: 'commit all changed files' },
+        { short: 'm', long: 'message', value: 'message', multiple: true, help: 'commit message' },
+        { long: 'allow-empty', help: 'allow a commit that changes nothing' }
+    ] },
+    push: { summary: 'Update remote refs along with associated objects', usage: 'git push [<options>] [<repository> [<refspec>]]', complete: 'remotes', options: [
+        { short: 'u', long: 'set-upstream', help: 'set upstream for git pull/status' },
+        { short: 'f', long: 'force', help: 'force updates' },
+        { long: 'tags', help: 'push all tags' }
+    ] },
+    fetch: { summary: 'Download objects and refs from another repository', usage: 'git fetch [<options>] [<repository> [<refspec>...]]', complete: 'remotes', options: [
+        { short: 'p', long: 'prune', help: 'prune remote-tracking branches no longer on remote' }
+    ] },
+    pull: { summary: 'Fetch from and integrate with another repository or a local branch', usage: 'git pull [<options>] [<repository> [<refspec>]]', complete: 'remotes', options: [
+        { short: 'r', long: 'rebase', help: 'incorporate changes by rebasing rather than merging' },
+        { long: 'no-rebase', help: 'incorporate changes by merging' }
+    ] },
+    remote: { summary: 'Manage set of tracked repositories', usage: 'git remote [-v | --verbose]', options: [
+        { short: 'v', long: 'verbose', help: 'be verbose; must be placed before a subcommand' }
+    ] },
+    branch: { summary: 'List, create, or delete branches', usage: 'git branch [<options>] [<branch-name> [<start-point>]]', complete: 'branches', options: [
+        { short: 'a', long: 'all', help: 'list both remote-tracking and local branches' },
+        { short: 'r', long: 'remotes', help: 'act on remote-tracking branches' },
+        { short: 'd', long: 'delete', help: 'delete fully merged branch' },
+        { short: 'D', help: 'delete branch (even if not merged)' },
+        { short: 'u', long: 'set-upstream-to', value: 'upstream', help: 'change the upstream info' },
+        { long: 'unset-upstream', help: 'unset the upstream info' }
+    ] },
+    tag: { summary: 'Create, list or delete a tag object', usage: 'git tag [-a] [-f] [-m <msg>] <tagname> [<commit>] | git tag -d <tagname>... | git tag [-n] [-l] [<pattern>...]', complete: 'revisions', options: [
+        { short: 'a', long: 'annotate', help: 'annotated tag, needs a message' },
+        { short: 'm', long: 'message', value: 'message', multiple: true, help: 'tag message' },
+        { short: 'f', long: 'force', help: 'replace the tag if exists' },
+        { short: 'd', long: 'delete', help: 'delete tags' },
+        { short: 'l', long: 'list', help: 'list tag names' },
+        { short: 'n', help: 'print the first line of each tag message' }
+    ] },
+    checkout: { summary: 'Switch branches or restore working tree files', usage: 'git checkout [<options>] <branch>', complete: 'revisions', options: [
+        { short: 'b', value: 'branch', help: 'create and checkout a new branch' },
+        { short: 'B', value: 'branch', help: 'create/reset and checkout a branch' },
+        { long: 'detach', help: 'detach HEAD at named commit' },
+        { long: 'ours', help: 'checkout our version for unmerged files' },
+        { long: 'theirs', help: 'checkout their version for unmerged files' }
+    ] },
+    switch: { summary: 'Switch branches', usage: 'git switch [<options>] [<branch>]', complete: 'branches', options: [
+        { short: 'c', long: 'create', value: 'branch', help: 'create and switch to a new branch' },
+        { short: 'C', long: 'force-create', value: 'branch', help: 'create/reset and switch to a branch' },
+        { short: 'd', long: 'detach', help: 'detach HEAD at named commit' }
+    ] },
+    merge: { summary: 'Join two or more development histories together', usage: 'git merge [<options>] [<commit>...]', complete: 'branches', options: [
+        { long: 'no-ff', help: 'always create a merge commit' },
+        { long: 'squash', help: 'create a single commit instead of doing a merge' },
+        { short: 'm', long: 'message', value: 'message', multiple: true, help: 'merge commit message (for a non-fast-forward merge)' },
+        { long: 'abort', help: 'abort the current in-progress merge' },
+        { long: 'continue', help: 'continue the current in-progress merge' }
+    ] },
+    rebase: { summary: 'Reapply commits on top of another base tip', usage: 'git rebase [-i] [<upstream>]', complete: 'branches', options: [
+        { short: 'i', long: 'interactive', help: 'let the user edit the list of commits to rebase' },
+        { long: 'continue', help: 'continue' },
+        { long: 'skip', help: 'skip current patch and continue' },
+        { long: 'abort', help: 'abort and check out the original branch' }
+    ] },
+    'cherry-pick': { summary: 'Apply the changes introduced by some existing commits', usage: 'git cherry-pick [-x] <commit>... | git cherry-pick (--continue | --skip | --abort)', complete: 'revisions', options: [
+        { short: 'x', help: 'append commit name' },
+        { long: 'continue', help: 'resume revert or cherry-pick sequence' },
+        { long: 'skip', help: 'skip current commit and continue' },
+        { long: 'abort', help: 'cancel revert or cherry-pick sequence' }
+    ] },
+    revert: { summary: 'Revert some existing commits', usage: 'git revert [--no-edit] <commit>... | git revert (--continue | --skip | --abort)', complete: 'revisions', options: [
+        { long: 'no-edit', help: 'do not edit the commit message' },
+        { long: 'continue', help: 'resume revert or cherry-pick sequence' },
+        { long: 'skip', help: 'skip current commit and continue' },
+        { long: 'abort', help: 'cancel revert or cherry-pick sequence' }
+    ] },
+    log: { summary: 'Show commit logs', usage: 'git log [<options>] [<revision-range>]', complete: 'revisions', countShorthand: 'max-count', options: [
+        { long: 'oneline', help: 'show each commit on a single line' },
+        { long: 'graph', help: 'draw a text-based graph of the commit history' },
+        { long: 'all', help: 'show commits reachable from every ref' },
+        { long: 'decorate', help: 'print the ref names of any commits that are shown' },
+        { short: 'n', long: 'max-count', value: 'number', help: 'limit the number of commits to output' },
+        { long: 'author', value: 'pattern', help: 'commits whose author matches the pattern' },
+        { long: 'grep', value: 'pattern', help: 'commits whose message matches the pattern' },
+        { long: 'since', value: 'date', help: 'commits more recent than a specific date' },
+        { long: 'after', value: 'date', help: 'same as --since' },
+        { short: 'i', long: 'regexp-ignore-case', help: 'match --author and --grep case-insensitively' }
+    ] },
+    show: { summary: 'Show various types of objects', usage: 'git show [<options>] <object>', complete: 'revisions', options: [] },
+    diff: { summary: 'Show changes between commits, commit and working tree, etc', usage: 'git diff [<options>] [<commit> [<commit>]] [--] [<path>...]', complete: 'revisions', options: [
+        { long: 'staged', help: 'compare the index with HEAD' },
+        { long: 'cached', help: 'same as --staged' },
+        { long: 'stat', help: 'show a diffstat instead of a patch' }
+    ] },
+    restore: { summary: 'Restore working tree files', usage: 'git restore [<options>] [--source=<branch>] <file>...', complete: 'paths', options: [
+        { short: 'S', long: 'staged', help: 'restore the index' },
+        { short: 'W', long: 'worktree', help: 'restore the working tree (default)' },
+        { short: 's', long: 'source', value: 'tree-ish', help: 'which tree-ish to checkout from' }
+    ] },
+    reset: { summary: 'Reset current HEAD to the specified state', usage: 'git reset [--mixed | --soft | --hard] [<commit>]', complete: 'revisions', options: [
+        { long: 'soft', help: 'reset only HEAD' },
+        { long: 'mixed', help: 'reset HEAD and index' },
+        { long: 'hard', help: 'reset HEAD, index and working tree' }
+    ] },
+    stash: { summary: 'Stash the changes in a dirty working directory away', usage: 'git stash list | show | drop | pop | apply | clear | push [-u] [-m <message>]', complete: ['list', 'show', 'drop', 'pop', 'apply', 'clear', 'push'], options: [
+        { short: 'm', long: 'message', value: 'message', help: 'stash message' },
+        { short: 'u', long: 'include-untracked', help: 'include untracked files in stash' },
+        { short: 'p', long: 'patch', help: 'show the stash as a patch (stash show)' },
+        { long: 'index', help: 'attempt to recreate the index (stash apply/pop)' }
+    ] }
+};
+
+// Parse a command's arguments against its spec. Returns { options, operands }
+// where options are keyed by long name (short name when there is none) and
+// operands keep a literal `--` and everything after it. Prints Git's error and
+// usage line and returns null on an unknown or malformed option.
+function parseGitOptions(command, args) {
+    const spec = gitCommandSpecs[command];
+    const options = {};
+    const operands = [];
+    const fail = message => {
+        appendToOutput(message, 'error');
+        appendToOutput(`usage: ${spec.usage}`, 'error');
+        return null;
+    };
+    const store = (option, value) => {
+        const key = option.long || option.short;
+        if (option.multiple) {
+            options[key] = [...(options[key] || []), value];
+        } else {
+            options[key] = value;
+        }
+    };
     
-    appendToOutput(output, 'output');
-    updateStatus('Checked repository status');
-    
-    if (!simulatorState.achievements['first-status']) {
-        unlockAchievement('first-status');
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--') {
+            operands.push(...args.slice(i));
+            break;
+        }
+        if (arg === '-h' || arg === '--help') {
+            printCommandUsage(command);
+            return null;
+        }
+        if (spec.countShorthand && /^-\d+$/.test(arg)) {
+            options[spec.countShorthand] = arg.slice(1);
+        } else if (arg.startsWith('--')) {
+            const equals = arg.indexOf('=');
+            const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+            const option = spec.options.find(candidate => candidate.long === name);
+            if (!option) return fail(`error: unknown option \`${name}'`);
+            if (option.value) {
+                const value = equals === -1 ? args[++i] : arg.slice(equals + 1);
+                if (value === undefined) return fail(`error: option \`${name}' requires a value`);
+                store(option, value);
+            } else if (equals !== -1) {
+                return fail(`error: option \`${name}' takes no value`);
+            } else {
+                store(option, true);
+            }
+        } else if (arg.startsWith('-') && arg.length > 1) {
+            // Combined short switches: -am "msg" is -a -m "msg", -n3 is -n 3
+            for (let j = 1; j < arg.length; j++) {
+                const option = spec.options.find(candidate => candidate.short === arg[j]);
+                if (!option) return fail(`error: unknown switch \`${arg[j]}'`);
+                if (option.value) {
+                    const value = j + 1 < arg.length ? arg.slice(j + 1) : args[++i];
+                    if (value === undefined) return fail(`error: switch \`${arg[j]}' requires a value`);
+                    store(option, value);
+                    break;
+                }
+                store(option, true);
+            }
+        } else {
+            operands.push(arg);
+        }
     }
-}
+    return { options, operands };
+}
+
+// `git <command> -h`: the usage line followed by one line per option
+function printCommandUsage(command) {
+    const spec = gitCommandSpecs[command];
+    const lines = [`usage: ${spec.usage}`, ''];
+    spec.options.forEach(option => {
+        const names = [option.short && `-${option.short}`, option.long && `--${option.long}`].filter(Boolean).join(', ');
+        const label = `    ${names}${option.value ? ` <${option.value}>` : ''}`;
+        if (label.length < 25) {
+            lines.push(label.padEnd(26) + option.help);
+        } else {
+            lines.push(label, ' '.repeat(26) + option.help);
+        }
+    });
+    appendToOutput(lines.join('\n').trimEnd(), 'output');
+}
+
+// `git help [<command>]`: the command list, or one command's summary and options
+function executeGitHelp(args) {
+    const command = args.find(arg => !arg.startsWith('-'));
+    if (!command) {
+        const width = Math.max(...Object.keys(gitCommandSpecs).map(name => name.length)) + 3;
+        appendToOutput([
+            'usage: git <command> [<args>]',
+            '',
+            'These are the Git commands this simulator understands:',
+            ...Object.keys(gitCommandSpecs).map(name => `   ${name.padEnd(width)}${gitCommandSpecs[name].summary}`),
+            '',
+            "See 'git help <command>' or 'git <command> -h' to read about a specific subcommand."
+        ].join('\n'), 'output');
+        return;
+    }
+    const alias = gitCommandSpecs[command] ? undefined : getConfigValue(`alias.${command}`);
+    if (alias !== undefined) {
+        appendToOutput(`'${command}' is aliased to '${alias}'`, 'output');
+        return;
+    }
+    if (!gitCommandSpecs[command]) {
+        appendToOutput(`No manual entry for git${command}`, 'error');
+        return;
+    }
+    appendToOutput(`git-${command} - ${gitCommandSpecs[command].summary}\n`, 'output');
+    printCommandUsage(command);
+}
+
+// ---- Shell built-ins ----
+
+// The terminal's home folder; the practice repository is the one folder in it
+const shellHome = '/home/learner';
+
+// A few shell commands over the simulated working tree, so files can be made
+// and inspected without leaving the terminal. `complete` works like gitCommandSpecs.
+const shellCommands = {
+    ls: { summary: 'list directory contents', usage: 'ls [-a] [-l] [<path>...]', complete: 'paths', run: shellLs },
+    cat: { summary: 'print the contents of files', usage: 'cat <file>...', complete: 'paths', run: shellCat },
+    echo: { summary: 'print text, or write it to a file with > or >>', usage: 'echo [-n] [<text>...] [> <file> | >> <file>]', complete: 'paths', run: shellEcho },
+    touch: { summary: 'create empty files', usage: 'touch <file>...', complete: 'paths', run: shellTouch },
+    mkdir: { summary: 'make directories', usage: 'mkdir [-p] <directory>...', complete: 'directories', run: shellMkdir },
+    rm: { summary: 'remove files or directories', usage: 'rm [-r] [-f] <path>...', complete: 'paths', run: shellRm },
+    mv: { summary: 'move or rename files and directories', usage: 'mv <source>... <destination>', complete: 'paths', run: shellMv },
+    cd: { summary: 'change the current directory', usage: 'cd [<directory>]', complete: 'directories', run: shellCd },
+    pwd: { summary: 'print the current directory', usage: 'pwd', run: shellPwd },
+    clear: { summary: 'clear the terminal', usage: 'clear', run: clearTerminalOutput },
+    help: { summary: 'list these shell commands', usage: 'help', run: shellHelp }
+};
 
-function executeGitAdd(args) {
-    if (args.length === 0) {
-        appendToOutput('fatal: pathspec not specified', 'error');
+function runShellCommand(words, redirection) {
+    const [program, ...args] = words;
+    const command = shellCommands[program];
+    if (!command) {
+        reportUnknownProgram(program);
         return;
     }
     
-    const target = args[0];
-    
-    if (target === '.') {
-        // Stage all files
-        while (simulatorState.workingFiles.length > 0) {
-            const file = simulatorState.workingFiles.shift();
-            file.status = 'staged';
-            simulatorState.stagedFiles.push(file);
+    // Like bash, sort out where the output goes before running anything
+    let target = null;
+    if (redirection.target !== null) {
+        const targetWords = tokenizeCommand(redirection.target);
+        if (!targetWords) return;
+        if (targetWords.length === 0) {
+            appendToOutput("bash: syntax error near unexpected token `newline'", 'error');
+            return;
         }
-        appendToOutput('Staged all changes', 'output');
-        updateStatus('Staged all files for commit');
-    } else {
-        // Stage specific file
-        const fileIndex = simulatorState.workingFiles.findIndex(f => f.name === target);
-        if (fileIndex !== -1) {
-            const file = simulatorState.workingFiles.splice(fileIndex, 1)[0];
-            file.status = 'staged';
-            simulatorState.stagedFiles.push(file);
-            appendToOutput(`Staged ${target}`, 'output');
-            updateStatus(`Staged ${target} for commit`);
-        } else {
-            appendToOutput(`pathspec '${target}' did not match any files`, 'error');
+        target = resolveShellPath(targetWords[0]);
+        const problem = target === null ? 'outside the practice repository'
+            : isShellDirectory(target) ? 'Is a directory'
+            : !isShellDirectory(parentPath(target)) ? 'No such file or directory'
+            : null;
+        if (problem) {
+            appendToOutput(`bash: ${targetWords[0]}: ${problem}`, 'error');
             return;
         }
+        args.push(...targetWords.slice(1));
     }
     
-    updateSimulatorDisplay();
+    const before = JSON.stringify(simulatorState.workingTree);
+    const output = command.run(args) || '';
+    if (target !== null) {
+        const { workingTree } = simulatorState;
+        workingTree[target] = redirection.append && target in workingTree ? workingTree[target] + output : output;
+    } else if (output) {
+        appendToOutput(output.replace(/\n$/, ''), 'output');
+    }
     
-    if (!simulatorState.achievements['first-add']) {
-        unlockAchievement('first-add');
+    if (JSON.stringify(simulatorState.workingTree) !== before) {
+        updateSimulatorDisplay();
+        updateStatus('Working directory changed - run git status to see what Git noticed');
     }
 }
 
-function executeGitCommit(args) {
-    if (simulatorState.stagedFiles.length === 0) {
-        appendToOutput('nothing to commit, working tree clean', 'output');
-        return;
-    }
-    
-    const messageIndex = args.indexOf('-m');
-    let message = 'Update PowerShell scripts';
-    
-    if (messageIndex !== -1 && messageIndex + 1 < args.length) {
-        message = args.slice(messageIndex + 1).join(' ').replace(/['"]/g, '');
+function getRepoRoot() {
+    return `${shellHome}/${getRepoName()}`;
+}
+
+function getWorkingDirectory() {
+    return simulatorState.cwd ? `${getRepoRoot()}/${simulatorState.cwd}` : getRepoRoot();
+}
+
+// The prompt shows the current directory with the home folder as ~, like bash
+function updateTerminalPrompt() {
+    const prompt = document.getElementById('terminalPrompt');
+    if (prompt) prompt.textContent = `${getWorkingDirectory().replace(shellHome, '~')} $`;
+}
+
+// The absolute path a path typed at the prompt points to
+function resolveAbsolutePath(input) {
+    const start = input.startsWith('/') ? '' : input === '~' || input.startsWith('~/') ? shellHome : getWorkingDirectory();
+    const segments = [];
+    `${start}/${input.replace(/^~/, '')}`.split('/').forEach(segment => {
+        if (segment === '..') segments.pop();
+        else if (segment && segment !== '.') segments.push(segment);
+    });
+    return `/${segments.join('/')}`;
+}
+
+// Turn a path typed at the prompt into a repository path ('' is the
+// repository root), or null when it leads out of the practice repository
+function resolveShellPath(input) {
+    const path = resolveAbsolutePath(input);
+    const root = getRepoRoot();
+    if (path === root) return '';
+    return path.startsWith(`${root}/`) ? path.slice(root.length + 1) : null;
+}
+
+// How a repository path looks from the current directory, as `git status` shows it
+function relativeToWorkingDirectory(path) {
+    const from = simulatorState.cwd ? simulatorState.cwd.split('/') : [];
+    const to = path.split('/');
+    let common = 0;
+    while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+    return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/') || './';
+}
+
+function parentPath(path) {
+    return path.split('/').slice(0, -1).join('/');
+}
+
+function isShellDirectory(path) {
+    return path === '' || simulatorState.directories.includes(path) || isWorkingTreeFolder(path);
+}
+
+// Names directly inside a directory, folders first marked as such
+function listDirectoryEntries(directory) {
+    const prefix = directory ? `${directory}/` : '';
+    const entries = new Map();
+    [...Object.keys(simulatorState.workingTree), ...simulatorState.directories.map(folder => `${folder}/`)]
+        .filter(path => path.startsWith(prefix) && path !== prefix)
+        .forEach(path => {
+            const rest = path.slice(prefix.length);
+            const slash = rest.indexOf('/');
+            entries.set(slash === -1 ? rest : rest.slice(0, slash), slash !== -1);
+        });
+    return [...entries.keys()].sort().map(name => ({ name, isDirectory: entries.get(name) }));
+}
+
+// Rename a file or a whole folder on disk
+function moveWorkingTreePath(from, to) {
+    const { workingTree } = simulatorState;
+    const moves = path => path === from || path.startsWith(`${from}/`);
+    Object.keys(workingTree).filter(moves).forEach(path => {
+        workingTree[to + path.slice(from.length)] = workingTree[path];
+        delete workingTree[path];
+    });
+    simulatorState.directories = simulatorState.directories.map(folder => (moves(folder) ? to + folder.slice(from.length) : folder));
+}
+
+// Split `-la`-style flags from operands; null (after reporting) on an unknown flag
+function parseShellFlags(program, args, allowed) {
+    const flags = new Set();
+    const operands = [];
+    let flagsDone = false;
+    for (const arg of args) {
+        if (flagsDone || !arg.startsWith('-') || arg === '-') {
+            operands.push(arg);
+        } else if (arg === '--') {
+            flagsDone = true;
+        } else {
+            for (const flag of arg.slice(1)) {
+                if (!allowed.includes(flag)) {
+                    appendToOutput(`${program}: invalid option -- '${flag}'`, 'error');
+                    appendToOutput(`usage: ${shellCommands[program].usage}`, 'error');
+                    return null;
+                }
+                flags.add(flag);
+            }
+        }
     }
-    
-    // Create new commit
-    const newCommit = {
-        hash: generateCommitHash(),
-        message: message,
-        files: simulatorState.stagedFiles.length
+    return { flags, operands };
+}
+
+// Directories are marked with a trailing slash, as `ls -F` does
+function shellLs(args) {
+    const parsed = parseShellFlags('ls', args, ['a', 'l', '1']);
+    if (!parsed) return '';
+    const { flags } = parsed;
+    const operands = parsed.operands.length > 0 ? parsed.operands : ['.'];
+    const { workingTree } = simulatorState;
+    
+    const format = entries => {
+        if (!flags.has('l')) return entries.map(entry => entry.label).join(flags.has('1') ? '\n' : '  ');
+        const stamp = new Date().toString().slice(4, 21).replace(/ \d{4}/, '');
+        return entries.map(entry => {
+            const size = entry.isDirectory ? 4096 : (workingTree[entry.path] || '').length;
+            return `${entry.isDirectory ? 'drwxr-xr-x' : '-rw-r--r--'} 1 learner learner ${String(size).padStart(5)} ${stamp} ${entry.label}`;
+        }).join('\n');
     };
     
-    simulatorState.commits.push(newCommit);
-    simulatorState.stagedFiles = [];
-    
-    appendToOutput(`[feature/powershell-improvements ${newCommit.hash}] ${message}`, 'output');
-    appendToOutput(`${newCommit.files} file${newCommit.files > 1 ? 's' : ''} changed`, 'output');
-    
-    updateSimulatorDisplay();
-    updateStatus(`Committed ${newCommit.files} file${newCommit.files > 1 ? 's' : ''}: ${message}`);
+    const sections = [];
+    operands.forEach(operand => {
+        const path = resolveShellPath(operand);
+        if (path !== null && path in workingTree) {
+            sections.push({ body: format([{ path, label: operand, isDirectory: false }]) });
+        } else if (path !== null && isShellDirectory(path)) {
+            const entries = listDirectoryEntries(path)
+                .filter(entry => flags.has('a') || !entry.name.startsWith('.'))
+                .map(entry => ({
+                    path: path ? `${path}/${entry.name}` : entry.name,
+                    label: entry.isDirectory ? `${entry.name}/` : entry.name,
+                    isDirectory: entry.isDirectory
+                }));
+            if (flags.has('a')) entries.unshift({ label: './', isDirectory: true }, { label: '../', isDirectory: true });
+            sections.push({ heading: operand, body: format(entries) });
+        } else {
+            appendToOutput(`ls: cannot access '${operand}': No such file or directory`, 'error');
+        }
+    });
     
-    if (!simulatorState.achievements['first-commit']) {
-        unlockAchievement('first-commit');
-    }
+    const text = sections
+        .map(section => (operands.length > 1 && section.heading ? `${section.heading}:\n${section.body}` : section.body))
+        .filter(Boolean)
+        .join(operands.length > 1 ? '\n\n' : '\n');
+    return text ? `${text}\n` : '';
 }
 
-function executeGitPush() {
-    if (simulatorState.commits.length <= 1) {
-        appendToOutput('Everything up-to-date', 'output');
-        return;
+function shellCat(args) {
+    if (args.length === 0) {
+        appendToOutput('cat: name a file to print - the simulator has no keyboard input to read', 'error');
+        return '';
     }
-    
-    appendToOutput('Enumerating objects: 8, done.', 'output');
-    appendToOutput('Counting objects: 100% (8/8), done.', 'output');
-    appendToOutput('Delta compression using up to 8 threads', 'output');
-    appendToOutput('Compressing objects: 100% (4/4), done.', 'output');
-    appendToOutput('Writing objects: 100% (5/5), 1.21 KiB | 1.21 MiB/s, done.', 'output');
-    appendToOutput('Total 5 (delta 2), reused 0 (delta 0), pack-reused 0', 'output');
-    appendToOutput('', 'output');
-    appendToOutput('To https://github.com/nborlaug/powershell-utilities.git', 'output');
-    appendToOutput(`   ${simulatorState.commits[simulatorState.commits.length-2].hash}..${simulatorState.commits[simulatorState.commits.length-1].hash}  feature/powershell-improvements -> feature/powershell-improvements`, 'output');
-    
-    updateStatus('Pushed changes to GitHub');
+    return args.map(arg => {
+        const path = resolveShellPath(arg);
+        if (path !== null && path in simulatorState.workingTree) return simulatorState.workingTree[path];
+        appendToOutput(`cat: ${arg}: ${path !== null && isShellDirectory(path) ? 'Is a directory' : 'No such file or directory'}`, 'error');
+        return '';
+    }).join('');
 }
 
-// Utility functions
-function generateCommitHash() {
-    return Math.random().toString(36).substr(2, 7);
+// Only a leading -n is an option, everything else is text - as in bash
+function shellEcho(args) {
+    const noNewline = args[0] === '-n';
+    const text = (noNewline ? args.slice(1) : args).join(' ');
+    return noNewline ? text : `${text}\n`;
 }
 
-function appendToOutput(text, type) {
-    const outputDiv = document.getElementById('commandOutput');
-    const line = document.createElement('div');
-    line.textContent = text;
-    
-    if (type === 'command') {
-        line.style.color = '#ffc220'; // Accent yellow
-        line.style.fontWeight = 'bold';
-    } else if (type === 'error') {
-        line.style.color = '#dc3545';
-    } else {
-        line.style.color = '#a7cced'; // Sky blue
+function shellTouch(args) {
+    if (args.length === 0) {
+        appendToOutput('touch: missing file operand', 'error');
+        return;
     }
-    
-    outputDiv.appendChild(line);
-    outputDiv.scrollTop = outputDiv.scrollHeight;
+    args.forEach(arg => {
+        const path = resolveShellPath(arg);
+        if (path === null || !isShellDirectory(parentPath(path))) {
+            appendToOutput(`touch: cannot touch '${arg}': ${path === null ? 'outside the practice repository' : 'No such file or directory'}`, 'error');
+        } else if (!(path in simulatorState.workingTree) && !isShellDirectory(path)) {
+            simulatorState.workingTree[path] = '';
+        }
+    });
+}
+
+function shellMkdir(args) {
+    const parsed = parseShellFlags('mkdir', args, ['p']);
+    if (!parsed) return;
+    if (parsed.operands.length === 0) {
+        appendToOutput('mkdir: missing operand', 'error');
+        return;
+    }
+    const { directories, workingTree } = simulatorState;
+    parsed.operands.forEach(operand => {
+        const path = resolveShellPath(operand);
+        const fail = reason => appendToOutput(`mkdir: cannot create directory '${operand}': ${reason}`, 'error');
+        if (path === null) {
+            fail('outside the practice repository');
+        } else if (path in workingTree || (isShellDirectory(path) && !parsed.flags.has('p'))) {
+            fail('File exists');
+        } else if (!parsed.flags.has('p') && !isShellDirectory(parentPath(path))) {
+            fail('No such file or directory');
+        } else {
+            // -p makes every missing parent on the way
+            const segments = path.split('/');
+            const folders = segments.map((segment, i) => segments.slice(0, i + 1).join('/'));
+            if (folders.some(folder => folder in workingTree)) {
+                fail('Not a directory');
+                return;
+            }
+            folders.filter(folder => !directories.includes(folder)).forEach(folder => directories.push(folder));
+        }
+    });
+    directories.sort();
+}
+
+function shellRm(args) {
+    const parsed = parseShellFlags('rm', args, ['r', 'R', 'f']);
+    if (!parsed) return;
+    const { flags, operands } = parsed;
+    const recursive = flags.has('r') || flags.has('R');
+    if (operands.length === 0) {
+        if (!flags.has('f')) appendToOutput('rm: missing operand', 'error');
+        return;
+    }
+    const { workingTree } = simulatorState;
+    operands.forEach(operand => {
+        const path = resolveShellPath(operand);
+        if (path === '' || path === null) {
+            appendToOutput(`rm: refusing to remove '${operand}': it is the repository itself or outside it`, 'error');
+        } else if (path in workingTree) {
+            delete workingTree[path];
+        } else if (isShellDirectory(path)) {
+            if (!recursive) {
+                appendToOutput(`rm: cannot remove '${operand}': Is a directory`, 'error');
+                return;
+            }
+            const inside = candidate => candidate === path || candidate.startsWith(`${path}/`);
+            Object.keys(workingTree).filter(inside).forEach(file => delete workingTree[file]);
+            simulatorState.directories = simulatorState.directories.filter(folder => !inside(folder));
+        } else if (!flags.has('f')) {
+            appendToOutput(`rm: cannot remove '${operand}': No such file or directory`, 'error');
+        }
+    });
+}
+
+function shellMv(args) {
+    const parsed = parseShellFlags('mv', args, ['f']);
+    if (!parsed) return;
+    const { operands } = parsed;
+    if (operands.length < 2) {
+        appendToOutput(operands.length === 0 ? 'mv: missing file operand' : `mv: missing destination file operand after '${operands[0]}'`, 'error');
+        return;
+    }
+    const destination = operands[operands.length - 1];
+    const destinationPath = resolveShellPath(destination);
+    if (destinationPath === null) {
+        appendToOutput(`mv: cannot move to '${destination}': outside the practice repository`, 'error');
+        return;
+    }
+    const sources = operands.slice(0, -1);
+    const intoDirectory = isShellDirectory(destinationPath);
+    if (sources.length > 1 && !intoDirectory) {
+        appendToOutput(`mv: target '${destination}' is not a directory`, 'error');
+        return;
+    }
+    
+    const { workingTree } = simulatorState;
+    sources.forEach(source => {
+        const from = resolveShellPath(source);
+        if (from === null || from === '' || (!(from in workingTree) && !isShellDirectory(from))) {
+            appendToOutput(`mv: cannot stat '${source}': No such file or directory`, 'error');
+            return;
+        }
+        const to = intoDirectory ? [destinationPath, from.split('/').pop()].filter(Boolean).join('/') : destinationPath;
+        if (to === from) {
+            appendToOutput(`mv: '${source}' and '${destination}' are the same file`, 'error');
+        } else if (to.startsWith(`${from}/`)) {
+            appendToOutput(`mv: cannot move '${source}' to a subdirectory of itself, '${destination}'`, 'error');
+        } else if (isShellDirectory(from) && to in workingTree) {
+            appendToOutput(`mv: cannot overwrite non-directory '${destination}' with directory '${source}'`, 'error');
+        } else if (isShellDirectory(to) && !intoDirectory) {
+            appendToOutput(`mv: cannot overwrite directory '${destination}' with non-directory`, 'error');
+        } else if (!intoDirectory && destination.endsWith('/')) {
+            appendToOutput(`mv: cannot move '${source}' to '${destination}': Not a directory`, 'error');
+        } else if (!isShellDirectory(parentPath(to))) {
+            appendToOutput(`mv: cannot move '${source}' to '${destination}': No such file or directory`, 'error');
+        } else {
+            moveWorkingTreePath(from, to);
+        }
+    });
+}
+
+function shellCd(args) {
+    if (args.length > 1) {
+        appendToOutput('bash: cd: too many arguments', 'error');
+        return;
+    }
+    // Plain `cd` goes back to the top of the practice repository; ~ is the
+    // home folder, outside it, as in every other path
+    const [target] = args;
+    const path = target === undefined ? '' : resolveShellPath(target);
+    const problem = path === null ? 'outside the practice repository'
+        : path in simulatorState.workingTree ? 'Not a directory'
+        : !isShellDirectory(path) ? 'No such file or directory'
+        : null;
+    if (problem) {
+        appendToOutput(`bash: cd: ${target}: ${problem}`, 'error');
+        return;
+    }
+    simulatorState.cwd = path;
+    updateTerminalPrompt();
+    updateStatus(`Now in ${getWorkingDirectory()}`);
+}
+
+function shellPwd() {
+    return `${getWorkingDirectory()}\n`;
+}
+
+function shellHelp() {
+    const width = Math.max(...Object.keys(shellCommands).map(name => shellCommands[name].usage.length)) + 3;
+    return [
+        'Shell commands in this terminal:',
+        ...Object.keys(shellCommands).map(name => `   ${shellCommands[name].usage.padEnd(width)}${shellCommands[name].summary}`),
+        '',
+        "Everything else starts with git - see 'git help'."
+    ].join('\n') + '\n';
+}
+
+// ---- Typos and error explanations ----
+
+// Git's weighted edit distance for typo suggestions (help.c): swapping two
+// adjacent letters costs 0, a substitution 2, an insertion 1 and a deletion 3
+function typoDistance(typed, candidate) {
+    let previous = [];
+    let row = Array.from({ length: candidate.length + 1 }, (_, j) => j);
+    for (let i = 0; i < typed.length; i++) {
+        const next = [(i + 1) * 3];
+        for (let j = 0; j < candidate.length; j++) {
+            let cost = row[j] + (typed[i] === candidate[j] ? 0 : 2);
+            if (i > 0 && j > 0 && typed[i - 1] === candidate[j] && typed[i] === candidate[j - 1]) {
+                cost = Math.min(cost, previous[j - 1]);
+            }
+            next.push(Math.min(cost, row[j + 1] + 3, next[j] + 1));
+        }
+        previous = row;
+        row = next;
+    }
+    return row[candidate.length];
+}
+
+// The closest candidates to a mistyped word; empty when none is within `floor`.
+// A candidate that starts with what was typed wins outright, as in Git.
+function findSimilarCommands(typed, candidates, floor = 7) {
+    const scored = candidates.map(name => ({
+        name,
+        distance: name.startsWith(typed) ? 0 : typoDistance(typed, name) + 1
+    }));
+    const best = Math.min(...scored.map(entry => entry.distance));
+    if (best >= floor) return [];
+    return scored.filter(entry => entry.distance === best).map(entry => entry.name);
+}
+
+function reportUnknownGitCommand(subCommand) {
+    appendToOutput(`git: '${subCommand}' is not a git command. See 'git --help'.`, 'error');
+    const similar = findSimilarCommands(subCommand, [...Object.keys(gitCommandSpecs), 'help']);
+    if (similar.length > 0) {
+        appendToOutput(`\nThe most similar command${similar.length > 1 ? 's are' : ' is'}`, 'error');
+        similar.forEach(name => appendToOutput(`\t${name}`, 'error'));
+    }
+}
+
+function reportUnknownProgram(program) {
+    // Only near-misses like `gti` or `sl`: `python` should not suggest anything
+    const similar = findSimilarCommands(program, ['git', ...Object.keys(shellCommands)], 4);
+    if (similar.length > 0) {
+        appendToOutput(`Command '${program}' not found, did you mean:`, 'error');
+        similar.forEach(name => appendToOutput(`  command '${name}'`, 'error'));
+    } else {
+        appendToOutput(`${program}: command not found`, 'error');
+    }
+}
+
+// Plain-English help for simulator errors, tried in order against every error
+// line the last command printed. `concept` is the conceptExplanations entry
+// the panel links to; without one it links to the subcommand's own entry.
+const simulatorErrorExplanations = [
+    {
+        pattern: /is not a git command|No manual entry/,
+        wrong: "Git doesn't have a subcommand spelled that way. It's almost always a typo.",
+        tryThis: 'Use the suggestion Git printed, or run <code>git help</code> to list every command the simulator understands.'
+    },
+    {
+        pattern: /command not found|not found, did you mean/,
+        concept: 'repository',
+        wrong: 'This terminal runs <code>git</code> and a few basic shell commands against the practice repository, and that program isn\'t one of them.',
+        tryThis: 'Start the line with <code>git</code>, for example <code>git status</code>, or type <code>help</code> to list the shell commands.'
+    },
+    {
+        pattern: /No such file or directory|Not a directory|Is a directory|File exists|outside the practice repository|is outside repository|missing (file |destination file )?operand|syntax error near unexpected token/,
+        concept: 'repository',
+        wrong: "The path doesn't lead where the command expected: there is nothing there, it's the wrong kind of thing (a folder instead of a file), or it points outside the practice repository.",
+        tryThis: 'Run <code>pwd</code> to see where you are and <code>ls</code> to see what is there. Paths are relative to the current folder, and Tab completes them.'
+    },
+    {
+        pattern: /unexpected EOF while looking for matching/,
+        concept: 'commit',
+        wrong: 'A quote was opened but never closed, so the shell never saw the end of the command.',
+        tryThis: 'Close the quote: <code>git commit -m "Fix typo in README"</code>. Use single quotes when the text itself contains a double quote.'
+    },
+    {
+        pattern: /requires a value/,
+        wrong: 'That option needs a value straight after it, and none was given.',
+        tryThis: 'Put the value right after the option, in quotes if it has spaces: <code>git commit -m "Describe the change"</code>.'
+    },
+    {
+        pattern: /unknown (option|switch)|takes no value|unknown subcommand/,
+        wrong: "That option isn't one this command accepts, or it's misspelled.",
+        tryThis: 'Add <code>-h</code> to the command (for example <code>git log -h</code>) to see the options it supports.'
+    },
+    {
+        pattern: /pathspec '.*' did not match/,
+        concept: 'add',
+        wrong: "Git couldn't find a file (or branch) by that name. Names are case-sensitive and include their folder.",
+        tryThis: 'Run <code>git status</code> to see the exact file names, or <code>git branch -a</code> for branches. Tab completes names for you.'
+    },
+    {
+        pattern: /has (local modifications|changes staged in the index|staged content different from both)/,
+        concept: 'status',
+        wrong: "<code>git rm</code> deletes the file from disk too, and that would lose changes that haven't been committed, so Git refused.",
+        tryThis: 'Use <code>git rm --cached &lt;file&gt;</code> to stop tracking the file but keep it on disk, commit or restore the changes first, or add <code>-f</code> if you really want them gone.'
+    },
+    {
+        pattern: /recursively without -r/,
+        concept: 'add',
+        wrong: 'That name is a folder, and Git only removes a whole folder when you ask for it explicitly.',
+        tryThis: 'Add <code>-r</code>, for example <code>git rm -r logs</code>, or name the individual files.'
+    },
+    {
+        pattern: /bad source|not under version control|destination exists|destination directory does not exist|source directory is empty|can not move directory into itself|is not a directory/,
+        concept: 'add',
+        wrong: "<code>git mv</code> can only move files Git already tracks, to a place that exists and isn't taken.",
+        tryThis: 'Check the names with <code>git status</code> and <code>ls</code>. Create the target folder first with <code>mkdir</code>, <code>git add</code> a new file before moving it, or use <code>-f</code> to replace an existing file.'
+    },
+    {
+        pattern: /cannot nest another inside it|only has room for projects/,
+        concept: 'repository',
+        wrong: 'The simulator holds one repository at a time, so a new one has to live next to the current project in the home folder.',
+        tryThis: 'Run <code>git init ~/my-project</code> to start a new, empty project, or pick a starter repository from the list above the terminal.'
+    },
+    {
+        pattern: /untracked working tree files would be overwritten/,
+        concept: 'add',
+        wrong: "A new file you haven't added yet has the same name as a file Git needs to write, and Git won't destroy it.",
+        tryThis: 'Rename or delete that file, or <code>git add</code> and commit it first, then run the command again.'
+    },
+    {
+        pattern: /Please tell me who you are|empty ident name|unable to auto-detect email/,
+        concept: 'commit',
+        wrong: 'Every commit records who made it, and Git doesn\'t know your name and email yet.',
+        tryThis: 'Set them once with <code>git config --global user.name "Your Name"</code> and <code>git config --global user.email "you@example.com"</code>, then run the command again.'
+    },
+    {
+        pattern: /key does not contain|invalid key|only one config file/,
+        wrong: 'Config keys are written as <code>section.name</code>, for example <code>user.email</code>.',
+        tryThis: 'Check the spelling of the key. <code>git config --list</code> shows every key that is set.'
+    },
+    {
+        pattern: /ignored by one of your \.gitignore files/,
+        concept: 'add',
+        wrong: "A rule in .gitignore tells Git to leave that path alone, so <code>git add</code> refused to stage it.",
+        tryThis: 'Run <code>git check-ignore -v &lt;path&gt;</code> to see which rule matched. Change that rule if it is too broad, or use <code>git add -f</code> if the file really belongs in the repo.'
+    },
+    {
+        pattern: /Your local changes to the following files would be overwritten|Please commit or stash them|cannot rebase: (You have unstaged|Your index contains)/,
+        concept: 'branch',
+        wrong: "You have uncommitted edits that this command would have to throw away, so Git stopped to protect your work.",
+        tryThis: 'Commit the changes, or park them with <code>git stash</code>, run the command again, then bring them back with <code>git stash pop</code>.'
+    },
+    {
+        pattern: /CONFLICT|Automatic merge failed|unmerged files|needs merge|is unmerged|unresolved conflict|could not (apply|revert)/,
+        concept: 'conflict',
+        wrong: 'Both sides changed the same lines, so Git paused and left the decision to you.',
+        tryThis: 'Edit each conflicted file, keep the lines you want and remove the <code>&lt;&lt;&lt;&lt;&lt;&lt;&lt;</code> / <code>=======</code> / <code>&gt;&gt;&gt;&gt;&gt;&gt;&gt;</code> markers, <code>git add</code> it, then <code>git commit</code> (or the <code>--continue</code> that the hint names, such as <code>git rebase --continue</code>). <code>--abort</code> backs out completely.'
+    },
+    {
+        pattern: /You have not concluded your merge|cannot switch branch while merging|in the middle of a merge/,
+        concept: 'merge',
+        wrong: 'A merge is still in progress, and Git wants it finished before you do anything else.',
+        tryThis: 'Resolve and <code>git commit</code> to finish the merge, or <code>git merge --abort</code> to cancel it.'
+    },
+    {
+        pattern: /tag already exists in the remote/,
+        concept: 'push',
+        wrong: 'Origin already has a tag by that name on a different commit. Tags mark releases, so Git will not quietly move one.',
+        tryThis: 'Tag the new release with a new version, for example <code>git tag -a v1.0.1 -m "Release 1.0.1"</code>, then <code>git push --tags</code>.'
+    },
+    {
+        pattern: /\[rejected\]|failed to push some refs/,
+        concept: 'push',
+        wrong: "Origin has commits your branch doesn't, usually because a teammate pushed first. Pushing would overwrite their work, so Git refused.",
+        tryThis: 'Run <code>git pull</code> (or <code>git pull --rebase</code>) to bring their commits in, sort out any conflicts, then <code>git push</code> again.'
+    },
+    {
+        pattern: /has no upstream branch/,
+        concept: 'push',
+        wrong: "This branch has never been pushed, so Git doesn't know which branch on origin it belongs to.",
+        tryThis: 'Push it once with <code>git push -u origin &lt;branch&gt;</code>. After that a plain <code>git push</code> works.'
+    },
+    {
+        pattern: /no tracking information|has no upstream information|does not appear to be a git repository|Could not read from remote/,
+        concept: 'push',
+        wrong: "Git doesn't know which remote branch to use. The simulator has a single remote called origin.",
+        tryThis: 'Name it explicitly (<code>git pull origin main</code>) or connect the branch once with <code>git branch --set-upstream-to=origin/&lt;branch&gt;</code>.'
+    },
+    {
+        pattern: /tag '.*' already exists|no tag message/,
+        wrong: 'A tag with that name already exists, or an annotated tag was asked for without a message.',
+        tryThis: 'Use a new version number, or <code>git tag -d &lt;name&gt;</code> first if the old tag was a mistake. Give annotated tags a message with <code>-m "Release notes"</code>.'
+    },
+    {
+        pattern: /is a merge but no -m option/,
+        concept: 'merge',
+        wrong: 'That commit is a merge with two parents, and Git needs to be told which side counts as the original.',
+        tryThis: 'Pick or revert the ordinary commits that the merge brought in instead. Find them with <code>git log --oneline --graph</code>.'
+    },
+    {
+        pattern: /is now empty|empty commit set/,
+        wrong: 'The change you asked for is already on this branch, so applying it again would change nothing.',
+        tryThis: 'Use <code>--skip</code> to move past it, for example <code>git cherry-pick --skip</code>. Check what the branch has with <code>git log --oneline</code>.'
+    },
+    {
+        pattern: /a branch named '.*' already exists/,
+        concept: 'branch',
+        wrong: 'A branch with that name already exists.',
+        tryThis: 'Switch to it with <code>git switch &lt;name&gt;</code>, or pick a different name.'
+    },
+    {
+        pattern: /is not fully merged/,
+        concept: 'branch',
+        wrong: "That branch has commits that aren't on any other branch yet, so deleting it would lose them.",
+        tryThis: 'Merge it first, or use <code>git branch -D</code> if you really mean to throw those commits away.'
+    },
+    {
+        pattern: /cannot delete branch .* used by worktree/,
+        concept: 'branch',
+        wrong: "You can't delete the branch you're currently on.",
+        tryThis: 'Switch away first, for example <code>git switch main</code>, then delete it.'
+    },
+    {
+        pattern: /invalid reference|not a valid object name|ambiguous argument|not something we can merge|invalid upstream|could not resolve|not a valid reference|not a valid branch name|branch '.*' not found|tag '.*' not found|Failed to resolve|couldn't find remote ref|does not exist in/,
+        concept: 'branch',
+        wrong: "Git couldn't find a branch, tag or commit by that name. Names are case-sensitive.",
+        tryThis: 'List branches with <code>git branch -a</code> and commits with <code>git log --oneline --all</code>, then copy the exact name or hash.'
+    },
+    {
+        pattern: /does not have any commits yet|do not have the initial commit yet/,
+        concept: 'commit',
+        wrong: 'The branch has no commits yet, so there is nothing for this command to work with.',
+        tryThis: 'Stage a file with <code>git add</code> and make a first <code>git commit</code>.'
+    },
+    {
+        pattern: /No stash entries found/,
+        concept: 'status',
+        wrong: 'The stash is empty.',
+        tryThis: 'Stash work in progress with <code>git stash</code> first. <code>git stash list</code> shows what is saved.'
+    },
+    {
+        pattern: /already a rebase-merge directory|No rebase in progress|There is no merge|no cherry-pick or revert in progress|is already in progress/,
+        concept: 'status',
+        wrong: "That only makes sense during a merge, rebase, cherry-pick or revert, and the repository isn't in the state the command expects.",
+        tryThis: 'Run <code>git status</code>: it says which operation is underway and how to continue or abort it.'
+    },
+    {
+        pattern: /Cannot do .* reset with paths/,
+        concept: 'status',
+        wrong: '<code>--soft</code> and <code>--hard</code> move the whole branch, so they can\'t be limited to particular files.',
+        tryThis: 'Unstage a file with <code>git restore --staged &lt;file&gt;</code>, or discard its edits with <code>git restore &lt;file&gt;</code>.'
+    }
+];
+
+const genericErrorExplanation = {
+    wrong: "Git refused to run the command as typed. The red lines are Git's own explanation and often end with a hint.",
+    tryThis: 'Run <code>git status</code> to see where you stand, or <code>git help</code> for the commands and options the simulator understands.'
+};
+
+// Show the "what went wrong / what to try" panel for the errors a command printed
+function explainCommandErrors(errors, subCommand) {
+    const panel = document.getElementById('errorExplanation');
+    if (!panel) return;
+    if (errors.length === 0) {
+        hideErrorExplanation();
+        return;
+    }
+    
+    const explanation = simulatorErrorExplanations.find(entry => errors.some(line => entry.pattern.test(line))) || genericErrorExplanation;
+    const conceptKey = explanation.concept || subCommand;
+    const concept = conceptExplanations[conceptKey];
+    
+    panel.innerHTML = `
+        <div class="error-explanation-header">
+            <h5>🤔 What went wrong</h5>
+            <button class="error-explanation-close" onclick="hideErrorExplanation()" title="Dismiss">×</button>
+        </div>
+        <p>${explanation.wrong}</p>
+        <h5>💡 What to try</h5>
+        <p>${explanation.tryThis}</p>
+        ${concept ? `<button class="btn btn-secondary" onclick="expandConcept('${conceptKey}')">📖 Learn more: ${concept.title}</button>` : ''}
+    `;
+    panel.style.display = 'block';
+}
+
+function hideErrorExplanation() {
+    const panel = document.getElementById('errorExplanation');
+    if (panel) panel.style.display = 'none';
+}
+
+async function processGitCommand(command) {
+    const redirection = splitRedirection(command);
+    const tokens = tokenizeCommand(redirection.command);
+    if (!tokens || tokens.length === 0) return;
+    
+    if (tokens[0] !== 'git') {
+        runShellCommand(tokens, redirection);
+        return;
+    }
+    if (redirection.target !== null) {
+        appendToOutput('bash: only shell commands such as echo, cat and ls can be redirected in the simulator', 'error');
+        return;
+    }
+    const parts = expandGitAlias(tokens);
+    if (!parts) return;
+    const subCommand = parts[1];
+    
+    // Bare `git` and `git -h` print the usage summary
+    if (!subCommand || subCommand === '-h') {
+        executeGitHelp([]);
+        return;
+    }
+    
+    // An open rebase todo list holds the terminal, like a real editor would
+    const { rebase } = simulatorState;
+    if (rebase && rebase.editing && !['rebase', 'status', 'log', 'show', 'diff', 'help'].includes(subCommand)) {
+        appendToOutput('hint: Waiting for your editor to close the file...', 'output');
+        return;
+    }
+    
+    switch (subCommand) {
+        case 'status':
+            executeGitStatus(parts.slice(2));
+            break;
+        case 'init':
+            executeGitInit(parts.slice(2));
+            break;
+        case 'add':
+            await executeGitAdd(parts.slice(2));
+            break;
+        case 'rm':
+            executeGitRm(parts.slice(2));
+            break;
+        case 'mv':
+            executeGitMv(parts.slice(2));
+            break;
+        case 'commit':
+            await executeGitCommit(parts.slice(2));
+            break;
+        case 'push':
+            executeGitPush(parts.slice(2));
+            break;
+        case 'fetch':
+            executeGitFetch(parts.slice(2));
+            break;
+        case 'pull':
+            await executeGitPull(parts.slice(2));
+            break;
+        case 'remote':
+            executeGitRemote(parts.slice(2));
+            break;
+        case 'branch':
+            executeGitBranch(parts.slice(2));
+            break;
+        case 'tag':
+            await executeGitTag(parts.slice(2));
+            break;
+        case 'checkout':
+            executeGitCheckout(parts.slice(2));
+            break;
+        case 'switch':
+            executeGitSwitch(parts.slice(2));
+            break;
+        case 'merge':
+            await executeGitMerge(parts.slice(2));
+            break;
+        case 'log':
+            await executeGitLog(parts.slice(2));
+            break;
+        case 'show':
+            await executeGitShow(parts.slice(2));
+            break;
+        case 'diff':
+            await executeGitDiff(parts.slice(2));
+            break;
+        case 'restore':
+            executeGitRestore(parts.slice(2));
+            break;
+        case 'reset':
+            executeGitReset(parts.slice(2));
+            break;
+        case 'stash':
+            await executeGitStash(parts.slice(2));
+            break;
+        case 'rebase':
+            await executeGitRebase(parts.slice(2));
+            break;
+        case 'cherry-pick':
+        case 'revert':
+            await executeGitSequencer(subCommand, parts.slice(2));
+            break;
+        case 'check-ignore':
+            executeGitCheckIgnore(parts.slice(2));
+            break;
+        case 'config':
+            executeGitConfig(parts.slice(2));
+            break;
+        case 'help':
+        case '--help':
+            executeGitHelp(parts.slice(2));
+            break;
+        default:
+            reportUnknownGitCommand(subCommand);
+    }
+}
+
+function executeGitStatus(args = []) {
+    const parsed = parseGitOptions('status', args);
+    if (!parsed) return;
+    const status = getRepoStatus();
+    const branch = currentBranchName();
+    const { rebase } = simulatorState;
+    let output = branch ? `On branch ${branch}\n${describeUpstream(branch)}` : `HEAD detached at ${shortHash(getHeadCommit())}\n`;
+    
+    if (rebase) {
+        output = `${rebase.interactive ? 'interactive ' : ''}rebase in progress; onto ${shortHash(rebase.onto)}\n`;
+        output += `You are currently rebasing branch '${rebase.branch || 'HEAD'}' on '${shortHash(rebase.onto)}'.\n`;
+        if (rebase.editing) {
+            output += '  (finish editing the todo list in the rebase editor)\n';
+        } else if (status.unmerged.length > 0) {
+            output += '  (fix conflicts and then run "git rebase --continue")\n';
+            output += '  (use "git rebase --skip" to skip this patch)\n';
+        } else {
+            output += '  (all conflicts fixed: run "git rebase --continue")\n';
+        }
+        output += '  (use "git rebase --abort" to check out the original branch)\n';
+    } else if (status.unmerged.length > 0 && simulatorState.mergeHead) {
+        output += 'You have unmerged paths.\n';
+        output += '  (fix conflicts and run "git commit")\n';
+        output += '  (use "git merge --abort" to abort the merge)\n';
+    } else if (simulatorState.mergeHead) {
+        output += 'All conflicts fixed but you are still merging.\n';
+        output += '  (use "git commit" to conclude merge)\n';
+    } else if (simulatorState.sequencer && simulatorState.sequencer.current) {
+        const { command, current } = simulatorState.sequencer;
+        output += `You are currently ${command === 'revert' ? 'reverting' : 'cherry-picking'} commit ${shortHash(current.hash)}.\n`;
+        output += status.unmerged.length > 0
+            ? `  (fix conflicts and run "git ${command} --continue")\n`
+            : `  (all conflicts fixed: run "git ${command} --continue")\n`;
+        output += `  (use "git ${command} --skip" to skip this patch)\n`;
+        output += `  (use "git ${command} --abort" to cancel the ${command} operation)\n`;
+    }
+    const unborn = !getHeadCommit();
+    if (unborn) output += '\nNo commits yet\n';
+    output += '\n';
+    
+    if (status.staged.length > 0) {
+        output += 'Changes to be committed:\n';
+        output += unborn
+            ? '  (use "git rm --cached <file>..." to unstage)\n'
+            : '  (use "git restore --staged <file>..." to unstage)\n';
+        pairStagedRenames(status.staged).forEach(file => {
+            const path = file.from ? `${relativeToWorkingDirectory(file.from)} -> ${relativeToWorkingDirectory(file.path)}` : relativeToWorkingDirectory(file.path);
+            output += `\t${statusLabel(file.change)}${path}\n`;
+        });
+        output += '\n';
+    }
+    
+    if (status.unmerged.length > 0) {
+        output += 'Unmerged paths:\n';
+        output += '  (use "git add <file>..." to mark resolution)\n';
+        status.unmerged.forEach(file => {
+            output += `\t${`${file.change}:`.padEnd(17)}${relativeToWorkingDirectory(file.path)}\n`;
+        });
+        output += '\n';
+    }
+    
+    if (status.unstaged.length > 0) {
+        output += 'Changes not staged for commit:\n';
+        output += '  (use "git add <file>..." to update what will be committed)\n';
+        output += '  (use "git restore <file>..." to discard changes in working directory)\n';
+        status.unstaged.forEach(file => {
+            output += `\t${statusLabel(file.change)}${relativeToWorkingDirectory(file.path)}\n`;
+        });
+        output += '\n';
+    }
+    
+    if (status.untracked.length > 0) {
+        output += 'Untracked files:\n';
+        output += '  (use "git add <file>..." to include in what will be committed)\n';
+        collapseUntrackedPaths(status.untracked).forEach(path => {
+            output += `\t${relativeToWorkingDirectory(path)}\n`;
+        });
+        output += '\n';
+    }
+    
+    if (parsed.options.ignored && status.ignored.length > 0) {
+        output += 'Ignored files:\n';
+        output += '  (use "git add -f <file>..." to include in what will be committed)\n';
+        const rules = getIgnoreRules();
+        [...new Set(status.ignored.map(path => matchIgnoreRules(path, false, rules).path))].forEach(path => {
+            output += `\t${relativeToWorkingDirectory(path)}\n`;
+        });
+        output += '\n';
+    }
+    
+    // With staged changes there is nothing more to say - they are ready to commit
+    let clean = false;
+    if (status.staged.length === 0 && !simulatorState.mergeHead) {
+        if (status.unstaged.length > 0 || status.unmerged.length > 0) {
+            output += 'no changes added to commit (use "git add" and/or "git commit -a")\n';
+        } else if (status.untracked.length > 0) {
+            output += 'nothing added to commit but untracked files present (use "git add" to track)\n';
+        } else if (unborn) {
+            output += 'nothing to commit (create/copy files and use "git add" to track)\n';
+        } else {
+            output += 'nothing to commit, working tree clean\n';
+            clean = true;
+        }
+    }
+    
+    appendToOutput(output.trimEnd(), 'output');
+    updateStatus('Checked repository status');
+    recordTutorialEvent('status', { clean });
+}
+
+// Labels padded the way `git status` aligns them
+function statusLabel(change) {
+    const labels = { new: 'new file:   ', modified: 'modified:   ', deleted: 'deleted:    ', renamed: 'renamed:    ' };
+    return labels[change];
+}
+
+// A staged deletion and a staged new file with the same content are shown
+// as one rename, which is how `git mv` shows up in `git status`
+function pairStagedRenames(staged) {
+    const headFiles = getCommitFiles(getHeadCommit());
+    const { index } = simulatorState;
+    const deleted = staged.filter(file => file.change === 'deleted');
+    const paired = new Set();
+    const entries = staged.map(file => {
+        if (file.change !== 'new') return file;
+        const source = deleted.find(candidate => !paired.has(candidate.path) && headFiles[candidate.path] === index[file.path]);
+        if (!source) return file;
+        paired.add(source.path);
+        return { path: file.path, from: source.path, change: 'renamed' };
+    });
+    return entries
+        .filter(file => !(file.change === 'deleted' && paired.has(file.path)))
+        .sort((a, b) => ((a.from || a.path) < (b.from || b.path) ? -1 : 1));
+}
+
+async function executeGitAdd(args) {
+    const parsed = parseGitOptions('add', args);
+    if (!parsed) return;
+    const pathspecs = parsed.operands.filter(arg => arg !== '--');
+    if (parsed.options.all && pathspecs.length === 0) pathspecs.push('.');
+    
+    if (pathspecs.length === 0) {
+        appendToOutput('Nothing specified, nothing added.', 'error');
+        appendToOutput("hint: Maybe you wanted to say 'git add .'?", 'error');
+        return;
+    }
+    
+    // Every path git could pick up: tracked files plus anything on disk
+    const { index, workingTree, unmerged } = simulatorState;
+    const candidates = [...new Set([...Object.keys(index), ...Object.keys(workingTree)])];
+    const rules = getIgnoreRules();
+    const skipsIgnored = path => !parsed.options.force && !(path in index) && !(path in unmerged) && isIgnored(path, false, rules);
+    const matched = new Set();
+    const ignoredPathspecs = [];
+    
+    for (const pathspec of pathspecs) {
+        const matches = candidates.filter(path => pathspecMatches(pathspec, path));
+        if (matches.length === 0) {
+            appendToOutput(`fatal: pathspec '${pathspec}' did not match any files`, 'error');
+            return;
+        }
+        // Ignored files are skipped quietly, unless the pathspec names one outright
+        const name = resolveShellPath(pathspec);
+        const namedDirectly = name !== '' && !(name in index) && !parsed.options.force &&
+            isIgnored(name, !(name in workingTree), rules);
+        if (namedDirectly) ignoredPathspecs.push(pathspec);
+        matches.filter(path => !skipsIgnored(path)).forEach(path => matched.add(path));
+    }
+    
+    for (const path of matched) {
+        await stagePath(path);
+    }
+    
+    if (ignoredPathspecs.length > 0) {
+        appendToOutput('The following paths are ignored by one of your .gitignore files:', 'error');
+        ignoredPathspecs.forEach(pathspec => appendToOutput(pathspec, 'error'));
+        appendToOutput('hint: Use -f if you really want to add them.', 'error');
+        appendToOutput('hint: Turn this message off by running', 'error');
+        appendToOutput('hint: "git config advice.addIgnoredFile false"', 'error');
+        updateStatus('Ignored files were not staged');
+        updateSimulatorDisplay();
+        return;
+    }
+    
+    if (pathspecs.includes('.')) {
+        appendToOutput('Staged all changes', 'output');
+        updateStatus('Staged all files for commit');
+    } else {
+        appendToOutput(`Staged ${pathspecs.join(' ')}`, 'output');
+        updateStatus(`Staged ${pathspecs.join(' ')} for commit`);
+    }
+    
+    updateSimulatorDisplay();
+    recordTutorialEvent('add');
+}
+
+function executeGitRm(args) {
+    const parsed = parseGitOptions('rm', args);
+    if (!parsed) return;
+    const { cached, force, recursive, quiet } = parsed.options;
+    const pathspecs = parsed.operands.filter(arg => arg !== '--');
+    if (pathspecs.length === 0) {
+        appendToOutput(`usage: ${gitCommandSpecs.rm.usage}`, 'error');
+        return;
+    }
+    
+    // Only tracked files can be removed; conflicted ones count as tracked
+    const { index, workingTree, unmerged } = simulatorState;
+    const tracked = [...new Set([...Object.keys(index), ...Object.keys(unmerged)])].sort();
+    const removals = new Set();
+    for (const pathspec of pathspecs) {
+        const matches = tracked.filter(path => pathspecMatches(pathspec, path));
+        if (matches.length === 0) {
+            appendToOutput(`fatal: pathspec '${pathspec}' did not match any files`, 'error');
+            return;
+        }
+        if (!recursive && matches.some(path => path !== resolveShellPath(pathspec))) {
+            appendToOutput(`fatal: not removing '${pathspec}' recursively without -r`, 'error');
+            return;
+        }
+        matches.forEach(path => removals.add(path));
+    }
+    
+    // The same safety checks as Git: never throw away work that exists nowhere else
+    if (!force) {
+        const headFiles = getCommitFiles(getHeadCommit());
+        const problems = { both: [], staged: [], local: [] };
+        removals.forEach(path => {
+            if (path in unmerged) return;
+            const stagedChange = index[path] !== headFiles[path];
+            const localChange = path in workingTree && workingTree[path] !== readObject(index[path]).content;
+            if (stagedChange && localChange) problems.both.push(path);
+            else if (!cached && stagedChange) problems.staged.push(path);
+            else if (!cached && localChange) problems.local.push(path);
+        });
+        const report = (paths, description, advice) => {
+            if (paths.length === 0) return false;
+            const heading = `error: the following file${paths.length > 1 ? 's have' : ' has'} ${description}:`;
+            heading.split('\n').forEach(line => appendToOutput(line, 'error'));
+            paths.forEach(path => appendToOutput(`    ${path}`, 'error'));
+            appendToOutput(advice, 'error');
+            return true;
+        };
+        const refused = [
+            report(problems.both, 'staged content different from both the\nfile and the HEAD', '(use -f to force removal)'),
+            report(problems.staged, 'changes staged in the index', '(use --cached to keep the file, or -f to force removal)'),
+            report(problems.local, 'local modifications', '(use --cached to keep the file, or -f to force removal)')
+        ].some(Boolean);
+        if (refused) return;
+    }
+    
+    const hadConflicts = Object.keys(unmerged).length > 0;
+    removals.forEach(path => {
+        if (!quiet) appendToOutput(`rm '${path}'`, 'output');
+        delete index[path];
+        delete unmerged[path];
+        if (!cached) delete workingTree[path];
+    });
+    if (hadConflicts && Object.keys(unmerged).length === 0) recordTutorialEvent('resolve');
+    
+    updateStatus(cached
+        ? `Stopped tracking ${removals.size} file(s) - they are still on disk`
+        : `Removed ${removals.size} file(s) - the deletion is staged for the next commit`);
+    updateSimulatorDisplay();
+}
+
+function executeGitMv(args) {
+    const parsed = parseGitOptions('mv', args);
+    if (!parsed) return;
+    const { force } = parsed.options;
+    const operands = parsed.operands.filter(arg => arg !== '--');
+    if (operands.length < 2) {
+        appendToOutput(`usage: ${gitCommandSpecs.mv.usage}`, 'error');
+        return;
+    }
+    
+    const outside = operands.find(operand => resolveShellPath(operand) === null);
+    if (outside !== undefined) {
+        appendToOutput(`fatal: ${outside}: '${outside}' is outside repository at '${getRepoRoot()}'`, 'error');
+        return;
+    }
+    
+    const { index, workingTree, unmerged } = simulatorState;
+    const destination = resolveShellPath(operands[operands.length - 1]);
+    const sources = operands.slice(0, -1).map(resolveShellPath);
+    const intoDirectory = isShellDirectory(destination);
+    if (sources.length > 1 && !intoDirectory) {
+        appendToOutput(`fatal: destination '${operands[operands.length - 1]}' is not a directory`, 'error');
+        return;
+    }
+    
+    // Check every move before making any, as Git does
+    const moves = [];
+    for (const source of sources) {
+        const target = intoDirectory ? [destination, source.split('/').pop()].filter(Boolean).join('/') : destination;
+        const trackedInside = Object.keys(index).filter(path => path.startsWith(`${source}/`));
+        const isFolder = !(source in workingTree) && isShellDirectory(source);
+        
+        let problem = null;
+        if (source === '' || (!(source in workingTree) && !isFolder)) {
+            problem = 'bad source';
+        } else if (source in unmerged) {
+            problem = 'conflicted';
+        } else if (isFolder && trackedInside.length === 0) {
+            problem = 'source directory is empty';
+        } else if (!isFolder && !(source in index)) {
+            problem = 'not under version control';
+        } else if (target === source || target.startsWith(`${source}/`)) {
+            problem = 'can not move directory into itself';
+        } else if ((target in workingTree && (isFolder || !force)) || (isShellDirectory(target) && !intoDirectory)) {
+            problem = 'destination exists';
+        } else if (!isShellDirectory(parentPath(target)) || (!intoDirectory && operands[operands.length - 1].endsWith('/'))) {
+            problem = 'destination directory does not exist';
+        }
+        if (problem) {
+            appendToOutput(`fatal: ${problem}, source=${source}, destination=${target}`, 'error');
+            return;
+        }
+        moves.push({ source, target, tracked: isFolder ? trackedInside : [source] });
+    }
+    
+    moves.forEach(({ source, target, tracked }) => {
+        // -f replaces whatever file was in the way
+        if (target in workingTree) {
+            delete workingTree[target];
+            delete index[target];
+        }
+        moveWorkingTreePath(source, target);
+        tracked.forEach(path => {
+            index[target + path.slice(source.length)] = index[path];
+            delete index[path];
+        });
+    });
+    
+    updateStatus(moves.length === 1
+        ? `Renamed ${moves[0].source} to ${moves[0].target} - the rename is staged`
+        : `Moved ${moves.length} paths into ${destination} - the renames are staged`);
+    updateSimulatorDisplay();
+}
+
+async function executeGitCommit(args) {
+    const parsed = parseGitOptions('commit', args);
+    if (!parsed) return;
+    const { options } = parsed;
+    
+    let status = getRepoStatus();
+    if (status.unmerged.length > 0) {
+        appendToOutput('error: Committing is not possible because you have unmerged files.', 'error');
+        appendToOutput("hint: Fix them up in the work tree, and then use 'git add/rm <file>'", 'error');
+        appendToOutput('hint: as appropriate to mark resolution and make a commit.', 'error');
+        appendToOutput('fatal: Exiting because of an unresolved conflict.', 'error');
+        return;
+    }
+    // -a stages every tracked file that changed (new files still need git add).
+    // Git does that in a temporary index, so a commit that stops keeps the real one.
+    const indexBefore = { ...simulatorState.index };
+    if (options.all) {
+        for (const { path } of status.unstaged) {
+            await stagePath(path);
+        }
+        status = getRepoStatus();
+    }
+    
+    // Concluding a merge is allowed even if the result matches HEAD
+    if (status.staged.length === 0 && !simulatorState.mergeHead && !options['allow-empty']) {
+        if (status.unstaged.length > 0 || status.untracked.length > 0) {
+            appendToOutput('no changes added to commit (use "git add" and/or "git commit -a")', 'output');
+        } else {
+            appendToOutput('nothing to commit, working tree clean', 'output');
+        }
+        return;
+    }
+    
+    if (!requireIdentity()) {
+        simulatorState.index = indexBefore;
+        return;
+    }
+    
+    // Each -m becomes its own paragraph, as in Git
+    const message = options.message
+        ? options.message.join('\n\n')
+        : simulatorState.pendingCommitMessage || 'Update PowerShell scripts';
+    
+    // Snapshot the index as a tree and record it on top of HEAD
+    // (plus the merged commit when concluding a merge)
+    const parent = getHeadCommit();
+    const parents = [parent, simulatorState.mergeHead].filter(Boolean);
+    const tree = await writeTree(simulatorState.index);
+    const hash = await createCommit(tree, parents, message);
+    updateHead(hash);
+    simulatorState.pendingCommitMessage = null;
+    simulatorState.mergeHead = null;
+    // Committing by hand concludes a stopped cherry-pick or revert; --continue moves on to the rest
+    const { sequencer } = simulatorState;
+    if (sequencer) {
+        sequencer.current = null;
+        if (sequencer.todo.length === 0) simulatorState.sequencer = null;
+    }
+    
+    const fileCount = status.staged.length;
+    const branch = currentBranchName() || 'detached HEAD';
+    appendToOutput(`[${branch}${parent ? '' : ' (root-commit)'} ${shortHash(hash)}] ${message.split('\n')[0]}`, 'output');
+    printChangeSummary(getCommitFiles(parent), simulatorState.index);
+    
+    updateSimulatorDisplay();
+    updateStatus(`Committed ${fileCount} file${fileCount !== 1 ? 's' : ''}: ${message.split('\n')[0]}`);
+    recordTutorialEvent('commit', { merge: parents.length > 1 });
+}
+
+function executeGitBranch(args) {
+    const parsed = parseGitOptions('branch', args);
+    if (!parsed) return;
+    const { options } = parsed;
+    const names = parsed.operands.filter(arg => arg !== '--');
+    
+    if (options.delete || options.D) {
+        if (names.length === 0) {
+            appendToOutput('fatal: branch name required', 'error');
+            return;
+        }
+        names.forEach(name => deleteBranch(name, Boolean(options.D)));
+        updateSimulatorDisplay();
+        return;
+    }
+    
+    // --set-upstream-to=origin/x (or -u origin/x) and --unset-upstream, optionally naming the branch
+    if (options['set-upstream-to'] !== undefined) {
+        const upstream = options['set-upstream-to'];
+        const branch = names[0] || currentBranchName();
+        if (!branch) {
+            appendToOutput(`fatal: could not set upstream of HEAD to ${upstream} when it does not point to any branch.`, 'error');
+        } else if (!upstream.startsWith('origin/') || !simulatorState.refs[`refs/remotes/${upstream}`]) {
+            appendToOutput(`fatal: the requested upstream branch '${upstream}' does not exist`, 'error');
+        } else {
+            setBranchUpstream(branch, upstream.slice('origin/'.length));
+            updateStatus(`${branch} now tracks ${upstream}`);
+        }
+        return;
+    }
+    if (options['unset-upstream']) {
+        const branch = names[0] || currentBranchName();
+        if (!simulatorState.upstreams[branch]) {
+            appendToOutput(`fatal: branch '${branch}' has no upstream information`, 'error');
+            return;
+        }
+        delete simulatorState.upstreams[branch];
+        updateStatus(`${branch} no longer tracks a remote branch`);
+        return;
+    }
+    
+    if (names.length === 0) {
+        listBranches(Boolean(options.all), Boolean(options.remotes));
+        return;
+    }
+    
+    if (createBranch(names[0], names[1] || 'HEAD')) {
+        updateStatus(`Created branch ${names[0]}`);
+    }
+}
+
+function listBranches(showAll, remotesOnly) {
+    const current = currentBranchName();
+    const lines = [];
+    
+    if (!remotesOnly) {
+        if (!current && getHeadCommit()) {
+            lines.push(`* (HEAD detached at ${shortHash(getHeadCommit())})`);
+        }
+        getBranchNames().forEach(name => {
+            lines.push(`${name === current ? '*' : ' '} ${name}`);
+        });
+    }
+    
+    if (showAll || remotesOnly) {
+        Object.keys(simulatorState.refs)
+            .filter(ref => ref.startsWith('refs/remotes/'))
+            .sort()
+            .forEach(ref => {
+                const name = ref.slice('refs/remotes/'.length);
+                lines.push(`  ${showAll ? 'remotes/' : ''}${name}`);
+            });
+    }
+    
+    if (lines.length > 0) appendToOutput(lines.join('\n'), 'output');
+}
+
+// Create a branch pointing at a revision; returns false (after reporting why) on failure
+function createBranch(name, startPoint) {
+    if (!isValidBranchName(name)) {
+        appendToOutput(`fatal: '${name}' is not a valid branch name`, 'error');
+        return false;
+    }
+    if (simulatorState.refs[`refs/heads/${name}`]) {
+        appendToOutput(`fatal: a branch named '${name}' already exists`, 'error');
+        return false;
+    }
+    
+    const target = resolveRevision(startPoint);
+    if (!target) {
+        appendToOutput(`fatal: not a valid object name: '${startPoint}'`, 'error');
+        return false;
+    }
+    
+    simulatorState.refs[`refs/heads/${name}`] = target;
+    updateSimulatorDisplay();
+    recordTutorialEvent('branch');
+    return true;
+}
+
+function deleteBranch(name, force) {
+    const ref = `refs/heads/${name}`;
+    const tip = simulatorState.refs[ref];
+    
+    if (!tip) {
+        appendToOutput(`error: branch '${name}' not found`, 'error');
+        return;
+    }
+    if (name === currentBranchName()) {
+        appendToOutput(`error: cannot delete branch '${name}' used by worktree at '/home/learner/powershell-utilities'`, 'error');
+        return;
+    }
+    if (!force && !isAncestor(tip, getHeadCommit())) {
+        appendToOutput(`error: the branch '${name}' is not fully merged`, 'error');
+        appendToOutput(`hint: If you are sure you want to delete it, run 'git branch -D ${name}'`, 'error');
+        return;
+    }
+    
+    delete simulatorState.refs[ref];
+    delete simulatorState.upstreams[name];
+    appendToOutput(`Deleted branch ${name} (was ${shortHash(tip)}).`, 'output');
+    updateStatus(`Deleted branch ${name}`);
+}
+
+// `git tag`: list, create (lightweight, or annotated with -a/-m) and delete tags
+async function executeGitTag(args) {
+    const parsed = parseGitOptions('tag', args);
+    if (!parsed) return;
+    const { options } = parsed;
+    const names = parsed.operands.filter(arg => arg !== '--');
+    
+    if (options.delete) {
+        if (names.length === 0) {
+            appendToOutput('fatal: tag name required', 'error');
+            return;
+        }
+        names.forEach(deleteTag);
+        updateSimulatorDisplay();
+        return;
+    }
+    if (options.list || names.length === 0) {
+        listTags(names, Boolean(options.n));
+        return;
+    }
+    
+    const [name, startPoint = 'HEAD'] = names;
+    const ref = `refs/tags/${name}`;
+    const previous = simulatorState.refs[ref];
+    if (!isValidBranchName(name)) {
+        appendToOutput(`fatal: '${name}' is not a valid tag name.`, 'error');
+        return;
+    }
+    if (previous && !options.force) {
+        appendToOutput(`fatal: tag '${name}' already exists`, 'error');
+        return;
+    }
+    const target = resolveRevision(startPoint);
+    if (!target) {
+        appendToOutput(`fatal: Failed to resolve '${startPoint}' as a valid ref.`, 'error');
+        return;
+    }
+    
+    // -m on its own implies -a; -a without -m would open an editor, which the simulator doesn't have
+    const annotated = Boolean(options.annotate || options.message);
+    if (annotated && !options.message) {
+        appendToOutput('fatal: no tag message?', 'error');
+        appendToOutput(`hint: Give the message on the command line: git tag -a ${name} -m "Release ${name}"`, 'error');
+        return;
+    }
+    if (annotated && !requireIdentity()) return;
+    simulatorState.refs[ref] = annotated
+        ? await writeObject({ type: 'tag', object: target, objectType: 'commit', tag: name, tagger: createSignature(), message: options.message.join('\n\n') })
+        : target;
+    
+    if (previous) {
+        appendToOutput(`Updated tag '${name}' (was ${shortHash(previous)})`, 'output');
+    }
+    updateSimulatorDisplay();
+    updateStatus(`Created ${annotated ? 'annotated' : 'lightweight'} tag ${name} on ${shortHash(target)} - git push --tags shares it`);
+    recordTutorialEvent('tag', { annotated });
+}
+
+// Tag names in order, filtered by shell-style patterns; -n adds the first line of each message
+function listTags(patterns, showMessage) {
+    const matchers = patterns.map(compileTagPattern);
+    const names = getTagNames().filter(name => matchers.length === 0 || matchers.some(matcher => matcher.test(name)));
+    if (names.length === 0) return;
+    
+    appendToOutput(names.map(name => {
+        if (!showMessage) return name;
+        const tag = resolveTagObject(name);
+        const message = tag ? tag.message : readObject(resolveRevision(name)).message;
+        return `${name.padEnd(15)} ${message.split('\n')[0]}`;
+    }).join('\n'), 'output');
+}
+
+// `git tag -l` patterns are shell globs: * and ? are wildcards and [...] is a
+// set ([!...] negated). An unclosed [, or a set with a backwards range like
+// [z-a], is taken literally instead of failing.
+function compileTagPattern(pattern) {
+    const literal = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const end = char === '[' ? pattern.indexOf(']', i + 2) : -1;
+        if (char === '*') {
+            regex += '.*';
+        } else if (char === '?') {
+            regex += '.';
+        } else if (end !== -1) {
+            let set = `[${pattern.slice(i + 1, end).replace(/\\/g, '\\\\').replace(/^!/, '^')}]`;
+            try {
+                new RegExp(set);
+            } catch (error) {
+                set = literal(pattern.slice(i, end + 1));
+            }
+            regex += set;
+            i = end;
+        } else {
+            regex += literal(char);
+        }
+    }
+    return new RegExp(`^${regex}$`);
+}
+
+function deleteTag(name) {
+    const ref = `refs/tags/${name}`;
+    const hash = simulatorState.refs[ref];
+    if (!hash) {
+        appendToOutput(`error: tag '${name}' not found.`, 'error');
+        return;
+    }
+    
+    delete simulatorState.refs[ref];
+    appendToOutput(`Deleted tag '${name}' (was ${shortHash(hash)})`, 'output');
+    updateStatus(`Deleted tag ${name}`);
+}
+
+function executeGitCheckout(args) {
+    const parsed = parseGitOptions('checkout', args);
+    if (!parsed) return;
+    const { options, operands } = parsed;
+    
+    if (options.ours || options.theirs) {
+        checkoutConflictSide(options.ours ? 'ours' : 'theirs', operands.filter(arg => arg !== '--'));
+        return;
+    }
+    
+    const newBranch = options.b || options.B;
+    if (newBranch) {
+        createAndSwitchBranch(newBranch, operands[0] || 'HEAD');
+        return;
+    }
+    
+    // `git checkout [<commit>] -- <paths>` restores files instead of switching
+    const separator = operands.indexOf('--');
+    if (separator !== -1) {
+        checkoutPaths(operands[0] !== '--' ? operands[0] : null, operands.slice(separator + 1));
+        return;
+    }
+    
+    const target = operands[0];
+    if (options.detach) {
+        detachHead(target || 'HEAD');
+        return;
+    }
+    if (!target) {
+        appendToOutput('error: you must specify a branch to checkout', 'error');
+        return;
+    }
+    
+    if (simulatorState.refs[`refs/heads/${target}`]) {
+        switchToBranch(target);
+        return;
+    }
+    if (simulatorState.refs[`refs/remotes/origin/${target}`]) {
+        checkoutRemoteBranch(target);
+        return;
+    }
+    
+    // Anything else that names a commit leaves HEAD detached
+    const commit = resolveRevision(target);
+    if (!commit) {
+        checkoutPaths(null, operands);
+        return;
+    }
+    if (checkoutCommit(commit, commit)) {
+        appendToOutput(`Note: switching to '${target}'.`, 'output');
+        appendToOutput('', 'output');
+        appendToOutput("You are in 'detached HEAD' state. You can look around, make experimental", 'output');
+        appendToOutput('changes and commit them, and you can discard any commits you make in this', 'output');
+        appendToOutput('state without impacting any branches by switching back to a branch.', 'output');
+        appendToOutput('', 'output');
+        appendToOutput(`HEAD is now at ${shortHash(commit)} ${readObject(commit).message.split('\n')[0]}`, 'output');
+        updateStatus(`Detached HEAD at ${shortHash(commit)}`);
+    }
+}
+
+function executeGitSwitch(args) {
+    const parsed = parseGitOptions('switch', args);
+    if (!parsed) return;
+    const { options, operands } = parsed;
+    
+    const newBranch = options.create || options['force-create'];
+    if (newBranch) {
+        createAndSwitchBranch(newBranch, operands[0] || 'HEAD');
+        return;
+    }
+    
+    if (options.detach) {
+        detachHead(operands[0] || 'HEAD');
+        return;
+    }
+    
+    const target = operands[0];
+    if (!target) {
+        appendToOutput('fatal: missing branch or commit argument', 'error');
+        return;
+    }
+    
+    if (!simulatorState.refs[`refs/heads/${target}`] && simulatorState.refs[`refs/remotes/origin/${target}`]) {
+        checkoutRemoteBranch(target);
+        return;
+    }
+    if (!simulatorState.refs[`refs/heads/${target}`]) {
+        if (resolveRevision(target)) {
+            appendToOutput(`fatal: a branch is expected, got commit '${target}'`, 'error');
+            appendToOutput("hint: If you want to detach HEAD at the commit, try again with the --detach option.", 'error');
+        } else {
+            appendToOutput(`fatal: invalid reference: ${target}`, 'error');
+        }
+        return;
+    }
+    
+    switchToBranch(target);
+}
+
+// `git switch --detach <commit>` / `git checkout --detach <commit>`
+function detachHead(revision) {
+    const commit = resolveRevision(revision);
+    if (!commit) {
+        appendToOutput(`fatal: invalid reference: ${revision}`, 'error');
+        return;
+    }
+    if (checkoutCommit(commit, commit)) {
+        appendToOutput(`HEAD is now at ${shortHash(commit)} ${readObject(commit).message.split('\n')[0]}`, 'output');
+        updateStatus(`Detached HEAD at ${shortHash(commit)}`);
+    }
+}
+
+// `git checkout [<commit>] [--] <paths>`: overwrite working files from the index (or a commit)
+function checkoutPaths(revision, pathspecs) {
+    const { index, workingTree, unmerged } = simulatorState;
+    const source = revision ? resolveRevision(revision) : null;
+    if (revision && !source) {
+        appendToOutput(`fatal: invalid reference: ${revision}`, 'error');
+        return;
+    }
+    
+    const sourceFiles = source ? getCommitFiles(source) : index;
+    const matched = new Set();
+    for (const pathspec of pathspecs) {
+        const matches = Object.keys(sourceFiles).filter(path => pathspecMatches(pathspec, path));
+        if (matches.length === 0) {
+            appendToOutput(`error: pathspec '${pathspec}' did not match any file(s) known to git`, 'error');
+            return;
+        }
+        matches.forEach(path => matched.add(path));
+    }
+    if (!source) {
+        const conflicted = [...matched].filter(path => path in unmerged);
+        if (conflicted.length > 0) {
+            conflicted.forEach(path => appendToOutput(`error: path '${path}' is unmerged`, 'error'));
+            return;
+        }
+    }
+    
+    matched.forEach(path => {
+        // Checking out from a commit updates the index too
+        if (source) index[path] = sourceFiles[path];
+        workingTree[path] = readObject(sourceFiles[path]).content;
+    });
+    const count = matched.size;
+    appendToOutput(`Updated ${count} path${count !== 1 ? 's' : ''} from ${source ? `the tree ${shortHash(source)}` : 'the index'}`, 'output');
+    updateSimulatorDisplay();
+    updateStatus(`Restored ${pathspecs.join(' ')} - local edits discarded`);
+}
+
+function createAndSwitchBranch(name, startPoint) {
+    // Before the first commit there is nothing to point at: just rename the unborn branch
+    if (!getHeadCommit() && startPoint === 'HEAD' && !getBranchNames().includes(name) && isValidBranchName(name)) {
+        simulatorState.HEAD = `ref: refs/heads/${name}`;
+        appendToOutput(`Switched to a new branch '${name}'`, 'output');
+        updateSimulatorDisplay();
+        updateStatus(`Created and switched to ${name}`);
+        return;
+    }
+    const target = resolveRevision(startPoint);
+    if (!target) {
+        appendToOutput(`fatal: '${startPoint}' is not a commit and a branch '${name}' cannot be created from it`, 'error');
+        return;
+    }
+    // Make sure the working tree can move before the new branch exists
+    if (!checkoutCommit(target, `ref: refs/heads/${name}`, true)) return;
+    if (!createBranch(name, target)) return;
+    
+    checkoutCommit(target, `ref: refs/heads/${name}`);
+    appendToOutput(`Switched to a new branch '${name}'`, 'output');
+    updateStatus(`Created and switched to ${name}`);
+}
+
+function switchToBranch(name) {
+    if (name === currentBranchName()) {
+        appendToOutput(`Already on '${name}'`, 'output');
+        return;
+    }
+    
+    const target = simulatorState.refs[`refs/heads/${name}`];
+    if (checkoutCommit(target, `ref: refs/heads/${name}`)) {
+        appendToOutput(`Switched to branch '${name}'`, 'output');
+        updateStatus(`Switched to ${name}`);
+    }
+}
+
+// Move HEAD to a commit, updating the index and working tree the way Git's
+// two-tree checkout does: files that differ between the commits are replaced,
+// local edits to anything else are carried across. Refuses (and reports)
+// when a local edit would be overwritten. With dryRun only the check runs.
+function checkoutCommit(target, newHead, dryRun = false) {
+    const unmergedPaths = Object.keys(simulatorState.unmerged);
+    if (unmergedPaths.length > 0) {
+        unmergedPaths.forEach(path => appendToOutput(`${path}: needs merge`, 'error'));
+        appendToOutput('error: you need to resolve your current index first', 'error');
+        return false;
+    }
+    if (simulatorState.mergeHead) {
+        appendToOutput('fatal: cannot switch branch while merging', 'error');
+        appendToOutput('Consider "git merge --quit" or "git worktree add".', 'error');
+        return false;
+    }
+    
+    const targetFiles = getCommitFiles(target);
+    if (!canUpdateWorkingTree(targetFiles, 'checkout')) return false;
+    if (dryRun) return true;
+    
+    updateWorkingTree(targetFiles);
+    simulatorState.HEAD = newHead;
+    
+    // Like Git, list the local changes that came along
+    const status = getRepoStatus();
+    const carried = new Map();
+    [...status.staged, ...status.unstaged].forEach(file => {
+        carried.set(file.path, file.change === 'deleted' ? 'D' : file.change === 'new' ? 'A' : 'M');
+    });
+    [...carried.keys()].sort().forEach(path => appendToOutput(`${carried.get(path)}\t${path}`, 'output'));
+    
+    updateSimulatorDisplay();
+    return true;
+}
+
+// Check that moving from HEAD's snapshot to `targetFiles` would not clobber
+// local edits or untracked files; reports the blocking paths like Git does.
+// `alsoWritten` lists extra paths the caller will overwrite (conflicted files).
+function canUpdateWorkingTree(targetFiles, operation, alsoWritten = []) {
+    const { index, workingTree } = simulatorState;
+    const headFiles = getCommitFiles(getHeadCommit());
+    const paths = new Set([...diffFileMaps(headFiles, targetFiles).map(file => file.path), ...alsoWritten]);
+    
+    const blockedLocal = [];
+    const blockedUntracked = [];
+    [...paths].sort().forEach(path => {
+        const isTracked = path in index || path in headFiles;
+        if (isTracked) {
+            const stagedChange = index[path] !== headFiles[path];
+            const workingChange = path in index
+                ? workingTree[path] !== readObject(index[path]).content
+                : path in workingTree;
+            if (stagedChange || workingChange) blockedLocal.push(path);
+        } else if (path in workingTree && !isIgnored(path) && (!targetFiles[path] || workingTree[path] !== readObject(targetFiles[path]).content)) {
+            // Ignored files are expendable, so Git overwrites them without asking
+            blockedUntracked.push(path);
+        }
+    });
+    
+    const advice = operation === 'merge' ? 'before you merge' : 'before you switch branches';
+    if (blockedLocal.length > 0) {
+        appendToOutput(`error: Your local changes to the following files would be overwritten by ${operation}:`, 'error');
+        blockedLocal.forEach(path => appendToOutput(`\t${path}`, 'error'));
+        appendToOutput(`Please commit your changes or stash them ${advice}.`, 'error');
+        appendToOutput('Aborting', 'error');
+        return false;
+    }
+    if (blockedUntracked.length > 0) {
+        appendToOutput(`error: The following untracked working tree files would be overwritten by ${operation}:`, 'error');
+        blockedUntracked.forEach(path => appendToOutput(`\t${path}`, 'error'));
+        appendToOutput(`Please move or remove them ${advice}.`, 'error');
+        appendToOutput('Aborting', 'error');
+        return false;
+    }
+    return true;
+}
+
+// Replace every file that differs between HEAD and `targetFiles` in both
+// the index and the working tree
+function updateWorkingTree(targetFiles) {
+    const { index, workingTree } = simulatorState;
+    diffFileMaps(getCommitFiles(getHeadCommit()), targetFiles).forEach(({ path }) => {
+        if (path in targetFiles) {
+            index[path] = targetFiles[path];
+            workingTree[path] = readObject(targetFiles[path]).content;
+        } else {
+            delete index[path];
+            delete workingTree[path];
+        }
+    });
+}
+
+async function executeGitMerge(args, pullMessage = null) {
+    const parsed = parseGitOptions('merge', args);
+    if (!parsed) return;
+    const { options, operands } = parsed;
+    
+    if (options.abort) {
+        abortMerge();
+        return;
+    }
+    if (options.continue) {
+        if (!simulatorState.mergeHead) {
+            appendToOutput('fatal: There is no merge in progress (MERGE_HEAD missing).', 'error');
+            return;
+        }
+        await executeGitCommit([]);
+        return;
+    }
+    if (Object.keys(simulatorState.unmerged).length > 0) {
+        appendToOutput('error: Merging is not possible because you have unmerged files.', 'error');
+        appendToOutput("hint: Fix them up in the work tree, and then use 'git add/rm <file>'", 'error');
+        appendToOutput('hint: as appropriate to mark resolution and make a commit.', 'error');
+        appendToOutput('fatal: Exiting because of an unresolved conflict.', 'error');
+        return;
+    }
+    if (simulatorState.mergeHead) {
+        appendToOutput('fatal: You have not concluded your merge (MERGE_HEAD exists).', 'error');
+        appendToOutput('Please, commit your changes before you merge.', 'error');
+        return;
+    }
+    
+    const noFastForward = Boolean(options['no-ff']);
+    const squash = Boolean(options.squash);
+    const message = options.message ? options.message.join('\n\n') : null;
+    const name = operands.find(operand => operand !== '--');
+    
+    if (!name) {
+        appendToOutput('fatal: No remote for the current branch.', 'error');
+        return;
+    }
+    
+    const theirs = resolveRevision(name);
+    if (!theirs) {
+        appendToOutput(`merge: ${name} - not something we can merge`, 'error');
+        return;
+    }
+    
+    const ours = getHeadCommit();
+    if (isAncestor(theirs, ours)) {
+        appendToOutput('Already up to date.', 'output');
+        return;
+    }
+    
+    const base = findMergeBase(ours, theirs);
+    if (!base) {
+        appendToOutput('fatal: refusing to merge unrelated histories', 'error');
+        return;
+    }
+    
+    const headFiles = getCommitFiles(ours);
+    
+    // Fast-forward: our branch simply moves up to theirs
+    if (base === ours && !noFastForward) {
+        const theirFiles = getCommitFiles(theirs);
+        if (!canUpdateWorkingTree(theirFiles, 'merge')) return;
+        
+        updateWorkingTree(theirFiles);
+        appendToOutput(`Updating ${shortHash(ours)}..${shortHash(theirs)}`, 'output');
+        appendToOutput('Fast-forward', 'output');
+        if (squash) {
+            appendToOutput('Squash commit -- not updating HEAD', 'output');
+            simulatorState.pendingCommitMessage = buildSquashMessage(ours, theirs);
+        } else {
+            updateHead(theirs);
+        }
+        printChangeSummary(headFiles, theirFiles, true);
+        
+        updateSimulatorDisplay();
+        updateStatus(`Fast-forwarded to ${name}`);
+        if (!squash) recordTutorialEvent('merge', { fastForward: true });
+        return;
+    }
+    
+    // A real merge needs an index that matches HEAD
+    const stagedPaths = getRepoStatus().staged.map(file => file.path);
+    if (stagedPaths.length > 0) {
+        appendToOutput('error: Your local changes to the following files would be overwritten by merge:', 'error');
+        stagedPaths.forEach(path => appendToOutput(`\t${path}`, 'error'));
+        appendToOutput('Please commit your changes or stash them before you merge.', 'error');
+        appendToOutput('Aborting', 'error');
+        return;
+    }
+    if (!squash && !requireIdentity()) return;
+    
+    const branch = currentBranchName();
+    const labels = { ours: 'HEAD', theirs: name };
+    const merged = await mergeTrees(getCommitFiles(base), headFiles, getCommitFiles(theirs), labels);
+    if (!canUpdateWorkingTree(merged.files, 'merge', merged.conflicts.map(conflict => conflict.path))) return;
+    
+    updateWorkingTree(merged.files);
+    merged.autoMerged.forEach(path => appendToOutput(`Auto-merging ${path}`, 'output'));
+    
+    const mergedWhat = simulatorState.refs[`refs/remotes/${name}`] ? `remote-tracking branch '${name}'` : `branch '${name}'`;
+    const defaultMessage = pullMessage || (branch && !['main', 'master'].includes(branch)
+        ? `Merge ${mergedWhat} into ${branch}`
+        : `Merge ${mergedWhat}`);
+    
+    if (merged.conflicts.length > 0) {
+        recordConflicts(merged.conflicts, labels);
+        appendToOutput('Automatic merge failed; fix conflicts and then commit the result.', 'error');
+        // A squash merge never records MERGE_HEAD - the result is an ordinary commit
+        if (squash) {
+            simulatorState.pendingCommitMessage = buildSquashMessage(ours, theirs);
+        } else {
+            simulatorState.mergeHead = theirs;
+            simulatorState.pendingCommitMessage = message || defaultMessage;
+        }
+        updateSimulatorDisplay();
+        updateStatus(`Merge conflict - resolve ${merged.conflicts.length} file${merged.conflicts.length !== 1 ? 's' : ''}, then git add and commit`);
+        return;
+    }
+    
+    if (squash) {
+        appendToOutput('Squash commit -- not updating HEAD', 'output');
+        appendToOutput('Automatic merge went well; stopped before committing as requested', 'output');
+        simulatorState.pendingCommitMessage = buildSquashMessage(ours, theirs);
+        updateSimulatorDisplay();
+        updateStatus(`Squashed ${name} into the staging area`);
+        return;
+    }
+    
+    const hash = await createCommit(await writeTree(simulatorState.index), [ours, theirs], message || defaultMessage);
+    updateHead(hash);
+    
+    appendToOutput("Merge made by the 'ort' strategy.", 'output');
+    printChangeSummary(headFiles, merged.files, true);
+    
+    updateSimulatorDisplay();
+    updateStatus(`Merged ${name} into ${branch || 'HEAD'}`);
+    recordTutorialEvent('merge', { fastForward: false });
+}
+
+// Leave conflicted files in the working tree with conflict markers and
+// remember their three versions until `git add` marks them resolved
+function recordConflicts(conflicts, labels) {
+    const { index, workingTree, unmerged } = simulatorState;
+    conflicts.forEach(conflict => {
+        unmerged[conflict.path] = { base: conflict.base, ours: conflict.ours, theirs: conflict.theirs };
+        workingTree[conflict.path] = conflict.content;
+        if (!conflict.ours) {
+            delete index[conflict.path];
+        }
+        
+        if (conflict.ours && conflict.theirs) {
+            const kind = conflict.base ? 'content' : 'add/add';
+            appendToOutput(`CONFLICT (${kind}): Merge conflict in ${conflict.path}`, 'error');
+        } else {
+            const [deletedIn, keptIn] = conflict.ours ? [labels.theirs, labels.ours] : [labels.ours, labels.theirs];
+            appendToOutput(`CONFLICT (modify/delete): ${conflict.path} deleted in ${deletedIn} and modified in ${keptIn}.  Version ${keptIn} of ${conflict.path} left in tree.`, 'error');
+        }
+    });
+}
+
+// `git merge --abort`: put back every path the merge touched
+function abortMerge() {
+    const { index, workingTree, unmerged } = simulatorState;
+    if (!simulatorState.mergeHead) {
+        appendToOutput('fatal: There is no merge to abort (MERGE_HEAD missing).', 'error');
+        return;
+    }
+    
+    const headFiles = getCommitFiles(getHeadCommit());
+    const touched = new Set([...diffFileMaps(headFiles, index).map(file => file.path), ...Object.keys(unmerged)]);
+    touched.forEach(path => {
+        if (path in headFiles) {
+            index[path] = headFiles[path];
+            workingTree[path] = readObject(headFiles[path]).content;
+        } else {
+            delete index[path];
+            delete workingTree[path];
+        }
+    });
+    
+    simulatorState.unmerged = {};
+    simulatorState.mergeHead = null;
+    simulatorState.pendingCommitMessage = null;
+    
+    updateSimulatorDisplay();
+    updateStatus('Merge aborted - back to where you started');
+}
+
+// `git checkout --ours/--theirs <path>`: take one side of a conflict
+function checkoutConflictSide(side, paths) {
+    if (paths.length === 0) {
+        appendToOutput(`error: --${side} needs the paths to check out`, 'error');
+        return;
+    }
+    
+    for (const path of paths) {
+        const stages = simulatorState.unmerged[path];
+        if (!stages && !(path in simulatorState.index)) {
+            appendToOutput(`error: pathspec '${path}' did not match any file(s) known to git`, 'error');
+            return;
+        }
+        if (stages && !stages[side]) {
+            appendToOutput(`error: path '${path}' does not have ${side === 'ours' ? 'our' : 'their'} version`, 'error');
+            return;
+        }
+    }
+    
+    paths.forEach(path => {
+        const stages = simulatorState.unmerged[path];
+        const blob = stages ? stages[side] : simulatorState.index[path];
+        simulatorState.workingTree[path] = readObject(blob).content;
+    });
+    appendToOutput(`Updated ${paths.length} path${paths.length !== 1 ? 's' : ''} from the index`, 'output');
+    
+    updateSimulatorDisplay();
+    updateStatus(`Took ${side === 'ours' ? 'our' : 'their'} version - git add to mark it resolved`);
+}
+
+// The message `git merge --squash` leaves behind in SQUASH_MSG
+function buildSquashMessage(ours, theirs) {
+    const lines = ['Squashed commit of the following:', ''];
+    collectCommits(theirs, ours).forEach(hash => {
+        const commit = readObject(hash);
+        lines.push(`commit ${hash}`);
+        lines.push(`Author: ${commit.author.name} <${commit.author.email}>`);
+        lines.push('');
+        lines.push(`    ${commit.message}`);
+        lines.push('');
+    });
+    return lines.join('\n').trimEnd();
+}
+
+// `git restore [--staged] [--worktree] [--source=<commit>] <pathspec>...`
+function executeGitRestore(args) {
+    const parsed = parseGitOptions('restore', args);
+    if (!parsed) return;
+    const { index, workingTree, unmerged } = simulatorState;
+    const staged = Boolean(parsed.options.staged);
+    // Without flags only the working tree is restored
+    const worktree = Boolean(parsed.options.worktree) || !staged;
+    const source = parsed.options.source ?? null;
+    const pathspecs = parsed.operands.filter(operand => operand !== '--');
+    
+    if (pathspecs.length === 0) {
+        appendToOutput('fatal: you must specify path(s) to restore', 'error');
+        return;
+    }
+    
+    // The working tree is restored from the index, the index from HEAD
+    let sourceFiles = staged ? getCommitFiles(getHeadCommit()) : index;
+    if (source !== null) {
+        const hash = resolveRevision(source);
+        if (!hash) {
+            appendToOutput(`fatal: could not resolve ${source}`, 'error');
+            return;
+        }
+        sourceFiles = getCommitFiles(hash);
+    }
+    
+    const candidates = [...new Set([...Object.keys(sourceFiles), ...Object.keys(index)])];
+    const matched = new Set();
+    for (const pathspec of pathspecs) {
+        const matches = candidates.filter(path => pathspecMatches(pathspec, path));
+        if (matches.length === 0) {
+            appendToOutput(`error: pathspec '${pathspec}' did not match any file(s) known to git`, 'error');
+            return;
+        }
+        matches.forEach(path => matched.add(path));
+    }
+    
+    if (!staged && source === null) {
+        const conflicted = [...matched].filter(path => path in unmerged);
+        if (conflicted.length > 0) {
+            conflicted.forEach(path => appendToOutput(`error: path '${path}' is unmerged`, 'error'));
+            return;
+        }
+    }
+    
+    matched.forEach(path => {
+        if (staged) {
+            if (path in sourceFiles) {
+                index[path] = sourceFiles[path];
+            } else {
+                delete index[path];
+            }
+            delete unmerged[path];
+        }
+        if (worktree) {
+            if (path in sourceFiles) {
+                workingTree[path] = readObject(sourceFiles[path]).content;
+            } else {
+                delete workingTree[path];
+            }
+        }
+    });
+    
+    updateSimulatorDisplay();
+    const paths = pathspecs.join(' ');
+    updateStatus(staged && !worktree ? `Unstaged ${paths} - your edits are still in the working directory`
+        : staged ? `Restored ${paths} in the staging area and working directory`
+        : `Discarded changes to ${paths}`);
+}
+
+// `git reset [--soft|--mixed|--hard] [<commit>]` and `git reset [<commit>] [--] <paths>`
+function executeGitReset(args) {
+    const parsed = parseGitOptions('reset', args);
+    if (!parsed) return;
+    const { options, operands } = parsed;
+    
+    const separator = operands.indexOf('--');
+    const words = separator === -1 ? [...operands] : operands.slice(0, separator);
+    const paths = separator === -1 ? [] : operands.slice(separator + 1);
+    const mode = ['soft', 'mixed', 'hard'].find(name => options[name]);
+    
+    // The first word is a commit if it resolves to one, otherwise everything is a path
+    let target = getHeadCommit();
+    if (words.length > 0 && resolveRevision(words[0])) {
+        target = resolveRevision(words.shift());
+    }
+    for (const word of words) {
+        const known = word in simulatorState.index || word in simulatorState.workingTree ||
+            Object.keys(simulatorState.index).some(path => pathspecMatches(word, path));
+        if (!known && separator === -1) {
+            appendToOutput(`fatal: ambiguous argument '${word}': unknown revision or path not in the working tree.`, 'error');
+            return;
+        }
+        paths.push(word);
+    }
+    
+    if (paths.length > 0) {
+        if (mode && mode !== 'mixed') {
+            appendToOutput(`fatal: Cannot do ${mode} reset with paths.`, 'error');
+            return;
+        }
+        resetPaths(target, paths);
+    } else {
+        resetBranch(target, mode || 'mixed');
+    }
+}
+
+// `git reset <commit> -- <paths>`: copy the commit's version into the index only
+function resetPaths(target, paths) {
+    const { index, unmerged } = simulatorState;
+    const targetFiles = getCommitFiles(target);
+    const candidates = new Set([...Object.keys(targetFiles), ...Object.keys(index)]);
+    
+    candidates.forEach(path => {
+        if (!paths.some(pathspec => pathspecMatches(pathspec, path))) return;
+        if (path in targetFiles) {
+            index[path] = targetFiles[path];
+        } else {
+            delete index[path];
+        }
+        delete unmerged[path];
+    });
+    
+    printUnstagedAfterReset();
+    updateSimulatorDisplay();
+    updateStatus(`Unstaged ${paths.join(' ')} - your edits are still in the working directory`);
+}
+
+// Move the current branch to `target`; --mixed also resets the index, --hard the working tree too
+function resetBranch(target, mode) {
+    const { workingTree } = simulatorState;
+    if (mode === 'soft' && simulatorState.mergeHead) {
+        appendToOutput('fatal: Cannot do a soft reset in the middle of a merge.', 'error');
+        return;
+    }
+    
+    const targetFiles = getCommitFiles(target);
+    if (mode === 'hard') {
+        const tracked = new Set([...Object.keys(simulatorState.index), ...Object.keys(getCommitFiles(getHeadCommit()))]);
+        tracked.forEach(path => {
+            if (!(path in targetFiles)) delete workingTree[path];
+        });
+        Object.keys(targetFiles).forEach(path => {
+            workingTree[path] = readObject(targetFiles[path]).content;
+        });
+    }
+    if (mode !== 'soft') {
+        simulatorState.index = { ...targetFiles };
+        simulatorState.unmerged = {};
+        simulatorState.mergeHead = null;
+        simulatorState.pendingCommitMessage = null;
+    }
+    if (target) updateHead(target);
+    
+    if (mode === 'hard') {
+        appendToOutput(target ? `HEAD is now at ${shortHash(target)} ${readObject(target).message.split('\n')[0]}` : 'HEAD is now at (no commits yet)', 'output');
+    } else if (mode === 'mixed') {
+        printUnstagedAfterReset();
+    }
+    
+    updateSimulatorDisplay();
+    const descriptions = {
+        soft: 'your changes are still staged',
+        mixed: 'your changes are unstaged but kept in the working directory',
+        hard: 'staging area and working directory now match it'
+    };
+    updateStatus(`Reset to ${target ? shortHash(target) : 'an empty index'} - ${descriptions[mode]}`);
+}
+
+function printUnstagedAfterReset() {
+    const unstaged = getRepoStatus().unstaged;
+    if (unstaged.length === 0) return;
+    const letters = { modified: 'M', deleted: 'D' };
+    appendToOutput(['Unstaged changes after reset:', ...unstaged.map(file => `${letters[file.change]}\t${file.path}`)].join('\n'), 'output');
+}
+
+// `git stash [push|list|show|apply|pop|drop|clear]`. Each entry is a real
+// stash commit: its tree is the working directory, its parents are HEAD, a
+// commit of the index and (with -u) a commit of the untracked files.
+async function executeGitStash(args) {
+    const action = args.length === 0 || args[0].startsWith('-') ? 'push' : args[0];
+    const rest = action === 'push' && args[0] !== 'push' ? args : args.slice(1);
+    const parsed = parseGitOptions('stash', rest);
+    if (!parsed) return;
+    const { options, operands } = parsed;
+    
+    switch (action) {
+        case 'push':
+        case 'save':
+            await stashPush(options, operands);
+            break;
+        case 'list':
+            simulatorState.stash.forEach((hash, position) => {
+                appendToOutput(`stash@{${position}}: ${readObject(hash).message}`, 'output');
+            });
+            updateStatus(`${simulatorState.stash.length} stash entr${simulatorState.stash.length !== 1 ? 'ies' : 'y'}`);
+            break;
+        case 'show':
+            await stashShow(options, operands);
+            break;
+        case 'apply':
+        case 'pop':
+            await stashApply(options, operands, action === 'pop');
+            break;
+        case 'drop':
+            stashDrop(operands);
+            break;
+        case 'clear':
+            simulatorState.stash = [];
+            delete simulatorState.refs['refs/stash'];
+            updateStatus('Cleared every stash entry');
+            break;
+        default:
+            appendToOutput(`error: unknown subcommand: \`${action}'`, 'error');
+            appendToOutput(`usage: ${gitCommandSpecs.stash.usage}`, 'error');
+    }
+}
+
+async function stashPush(options, operands) {
+    const { index, workingTree } = simulatorState;
+    const includeUntracked = Boolean(options['include-untracked']);
+    // `git stash save` still takes its message as plain words
+    const customMessage = options.message || operands.filter(operand => operand !== '--').join(' ');
+    
+    const head = getHeadCommit();
+    if (!head) {
+        appendToOutput('You do not have the initial commit yet', 'error');
+        return;
+    }
+    const status = getRepoStatus();
+    if (status.unmerged.length > 0) {
+        status.unmerged.forEach(file => appendToOutput(`${file.path}: needs merge`, 'error'));
+        appendToOutput('error: could not save the current index', 'error');
+        return;
+    }
+    const untracked = includeUntracked ? status.untracked : [];
+    if (status.staged.length === 0 && status.unstaged.length === 0 && untracked.length === 0) {
+        appendToOutput('No local changes to save', 'output');
+        return;
+    }
+    if (!requireIdentity()) return;
+    
+    const headCommit = readObject(head);
+    const branchLabel = currentBranchName() || '(no branch)';
+    const headLine = `${shortHash(head)} ${headCommit.message.split('\n')[0]}`;
+    
+    const indexCommit = await createCommit(await writeTree(index), [head], `index on ${branchLabel}: ${headLine}`);
+    const parents = [head, indexCommit];
+    if (untracked.length > 0) {
+        const untrackedFiles = {};
+        for (const path of untracked) {
+            untrackedFiles[path] = await writeObject({ type: 'blob', content: workingTree[path] });
+        }
+        parents.push(await createCommit(await writeTree(untrackedFiles), [], `untracked files on ${branchLabel}: ${headLine}`));
+    }
+    
+    // The stash tree holds the tracked files as they are in the working directory
+    const workingFiles = {};
+    for (const path of Object.keys(index)) {
+        if (path in workingTree) {
+            workingFiles[path] = await writeObject({ type: 'blob', content: workingTree[path] });
+        }
+    }
+    const message = customMessage ? `On ${branchLabel}: ${customMessage}` : `WIP on ${branchLabel}: ${headLine}`;
+    const stashCommit = await createCommit(await writeTree(workingFiles), parents, message);
+    simulatorState.stash.unshift(stashCommit);
+    simulatorState.refs['refs/stash'] = stashCommit;
+    
+    // Back to a clean checkout of HEAD
+    const headFiles = getCommitFiles(head);
+    Object.keys(index).forEach(path => {
+        if (!(path in headFiles)) delete workingTree[path];
+    });
+    Object.keys(headFiles).forEach(path => {
+        workingTree[path] = readObject(headFiles[path]).content;
+    });
+    untracked.forEach(path => delete workingTree[path]);
+    simulatorState.index = { ...headFiles };
+    
+    appendToOutput(`Saved working directory and index state ${message}`, 'output');
+    updateSimulatorDisplay();
+    updateStatus('Changes stashed - the working directory is clean again');
+    recordTutorialEvent('stash');
+}
+
+// Position in the stash stack named by `stash@{n}` (or `n`); null after printing an error
+function resolveStashEntry(operands) {
+    const { stash } = simulatorState;
+    const name = operands[0];
+    if (stash.length === 0) {
+        appendToOutput('No stash entries found.', 'error');
+        return null;
+    }
+    if (name === undefined) return 0;
+    
+    const match = /^(?:stash@\{(\d+)\}|(\d+))$/.exec(name);
+    const position = match ? Number(match[1] ?? match[2]) : -1;
+    if (position < 0 || position >= stash.length) {
+        appendToOutput(`error: ${name} is not a valid reference`, 'error');
+        return null;
+    }
+    return position;
+}
+
+async function stashShow(options, operands) {
+    const position = resolveStashEntry(operands);
+    if (position === null) return;
+    
+    const stashCommit = readObject(simulatorState.stash[position]);
+    const baseFiles = getCommitFiles(stashCommit.parents[0]);
+    const stashFiles = readTree(stashCommit.tree);
+    const content = blob => (blob ? readObject(blob).content : undefined);
+    const changes = diffFileMaps(baseFiles, stashFiles);
+    
+    if (options.patch) {
+        for (const { path } of changes) {
+            const patch = await buildFilePatch(path, content(baseFiles[path]), content(stashFiles[path]));
+            patch.forEach(line => appendToOutput(line, diffLineType(line)));
+        }
+    } else if (changes.length > 0) {
+        const entries = changes.map(({ path }) => ({ path, ...countLineChanges(content(baseFiles[path]), content(stashFiles[path])) }));
+        appendToOutput(formatDiffStat(entries).join('\n'), 'output');
+    }
+    updateStatus(`Showing stash@{${position}}`);
+}
+
+// Merge a stash entry into the working directory; `pop` also drops it when that succeeds
+async function stashApply(options, operands, pop) {
+    const position = resolveStashEntry(operands);
+    if (position === null) return;
+    
+    const { index, workingTree } = simulatorState;
+    const stashHash = simulatorState.stash[position];
+    const stashCommit = readObject(stashHash);
+    const [baseCommit, indexCommit, untrackedCommit] = stashCommit.parents;
+    const baseFiles = getCommitFiles(baseCommit);
+    const untrackedFiles = untrackedCommit ? getCommitFiles(untrackedCommit) : {};
+    
+    const existing = Object.keys(untrackedFiles).filter(path => path in workingTree);
+    if (existing.length > 0) {
+        existing.forEach(path => appendToOutput(`${path} already exists, no checkout`, 'error'));
+        appendToOutput('error: could not restore untracked files from stash', 'error');
+        return;
+    }
+    
+    const labels = { ours: 'Updated upstream', theirs: 'Stashed changes' };
+    const merged = await mergeTrees(baseFiles, index, readTree(stashCommit.tree), labels);
+    const touched = [...new Set([...diffFileMaps(index, merged.files).map(file => file.path), ...merged.conflicts.map(conflict => conflict.path)])];
+    const dirty = touched.filter(path => path in index
+        ? workingTree[path] !== readObject(index[path]).content
+        : path in workingTree);
+    if (dirty.length > 0) {
+        appendToOutput('error: Your local changes to the following files would be overwritten by merge:', 'error');
+        dirty.forEach(path => appendToOutput(`\t${path}`, 'error'));
+        appendToOutput('Please commit your changes or stash them before you merge.', 'error');
+        appendToOutput('Aborting', 'error');
+        return;
+    }
+    
+    // Changes come back unstaged, except files the stash added, which stay added
+    merged.autoMerged.forEach(path => appendToOutput(`Auto-merging ${path}`, 'output'));
+    touched.forEach(path => {
+        if (path in merged.files) {
+            workingTree[path] = readObject(merged.files[path]).content;
+            if (!(path in index) && !(path in baseFiles)) index[path] = merged.files[path];
+        } else {
+            delete workingTree[path];
+        }
+    });
+    if (merged.conflicts.length > 0) {
+        recordConflicts(merged.conflicts, labels);
+    } else if (options.index) {
+        const stagedFiles = getCommitFiles(indexCommit);
+        diffFileMaps(baseFiles, stagedFiles).forEach(({ path }) => {
+            if (path in stagedFiles) {
+                index[path] = stagedFiles[path];
+            } else {
+                delete index[path];
+            }
+        });
+    }
+    Object.keys(untrackedFiles).forEach(path => {
+        workingTree[path] = readObject(untrackedFiles[path]).content;
+    });
+    
+    executeGitStatus();
+    if (merged.conflicts.length > 0) {
+        appendToOutput('The stash entry is kept in case you need it again.', 'error');
+        updateSimulatorDisplay();
+        updateStatus('Stash applied with conflicts - resolve them, then git add');
+        return;
+    }
+    if (pop) {
+        simulatorState.stash.splice(position, 1);
+        updateStashRef();
+        appendToOutput(`Dropped stash@{${position}} (${stashHash})`, 'output');
+    }
+    updateSimulatorDisplay();
+    updateStatus(pop ? `Popped stash@{${position}} back into the working directory` : `Applied stash@{${position}}`);
+}
+
+function stashDrop(operands) {
+    const position = resolveStashEntry(operands);
+    if (position === null) return;
+    
+    const [dropped] = simulatorState.stash.splice(position, 1);
+    updateStashRef();
+    appendToOutput(`Dropped stash@{${position}} (${dropped})`, 'output');
+    updateStatus(`Dropped stash@{${position}}`);
+}
+
+function updateStashRef() {
+    if (simulatorState.stash.length > 0) {
+        simulatorState.refs['refs/stash'] = simulatorState.stash[0];
+    } else {
+        delete simulatorState.refs['refs/stash'];
+    }
+}
+
+// `git rebase [-i] <upstream>`, `--continue`, `--skip` and `--abort`.
+// The commits to replay live in simulatorState.rebase as a todo list, so a
+// conflict can stop the replay and `--continue` picks up where it left off.
+async function executeGitRebase(args) {
+    const parsed = parseGitOptions('rebase', args);
+    if (!parsed) return;
+    const { options, operands } = parsed;
+    const { rebase } = simulatorState;
+    const control = ['continue', 'skip', 'abort'].find(name => options[name]);
+    if (control) {
+        if (!rebase) {
+            appendToOutput('fatal: No rebase in progress?', 'error');
+            return;
+        }
+        if (rebase.editing && control !== 'abort') {
+            appendToOutput('hint: Waiting for your editor to close the file...', 'output');
+            return;
+        }
+        if (control === 'abort') {
+            abortRebase();
+        } else if (control === 'skip') {
+            await skipRebaseCommit();
+        } else {
+            await continueRebase();
+        }
+        return;
+    }
+    
+    if (rebase) {
+        appendToOutput('fatal: It seems that there is already a rebase-merge directory, and', 'error');
+        appendToOutput('I wonder if you are in the middle of another rebase.  If that is the', 'error');
+        appendToOutput('case, please try\n\tgit rebase (--continue | --abort | --skip)', 'error');
+        return;
+    }
+    if (!requireIdentity()) return;
+    
+    const interactive = Boolean(options.interactive);
+    const upstreamRef = getUpstreamRef(currentBranchName());
+    const upstreamName = operands.find(operand => operand !== '--') || (upstreamRef && upstreamRef.slice('refs/remotes/'.length));
+    if (!upstreamName) {
+        appendToOutput('There is no tracking information for the current branch.', 'error');
+        appendToOutput('Please specify which branch you want to rebase against.', 'error');
+        return;
+    }
+    const upstream = resolveRevision(upstreamName);
+    if (!upstream) {
+        appendToOutput(`fatal: invalid upstream '${upstreamName}'`, 'error');
+        return;
+    }
+    
+    const status = getRepoStatus();
+    if (status.unstaged.length > 0 || status.unmerged.length > 0) {
+        appendToOutput('error: cannot rebase: You have unstaged changes.', 'error');
+        appendToOutput('error: Please commit or stash them.', 'error');
+        return;
+    }
+    if (status.staged.length > 0) {
+        appendToOutput('error: cannot rebase: Your index contains uncommitted changes.', 'error');
+        appendToOutput('error: Please commit or stash them.', 'error');
+        return;
+    }
+    if (simulatorState.mergeHead) {
+        appendToOutput('fatal: You have not concluded your merge (MERGE_HEAD exists).', 'error');
+        return;
+    }
+    
+    const head = getHeadCommit();
+    const branch = currentBranchName();
+    // Merge commits are flattened away, as in a plain `git rebase`
+    const commits = collectCommits(head, upstream).reverse().filter(hash => readObject(hash).parents.length <= 1);
+    
+    if (!interactive && isAncestor(upstream, head)) {
+        appendToOutput(`Current branch ${branch || 'HEAD'} is up to date.`, 'output');
+        return;
+    }
+    
+    simulatorState.rebase = {
+        branch,
+        origHead: head,
+        onto: upstream,
+        interactive,
+        editing: interactive,
+        todo: commits.map(hash => ({ action: 'pick', hash, message: readObject(hash).message })),
+        current: null
+    };
+    
+    if (interactive) {
+        appendToOutput('hint: Waiting for your editor to close the file...', 'output');
+        updateSimulatorDisplay();
+        updateStatus('Edit the rebase todo list, then press Start Rebase');
+        return;
+    }
+    await startRebase();
+}
+
+// Check out the new base and replay the todo list
+async function startRebase() {
+    const { rebase } = simulatorState;
+    const todo = rebase.todo.filter(item => item.action !== 'drop');
+    if (todo.length > 0 && (todo[0].action === 'squash' || todo[0].action === 'fixup')) {
+        appendToOutput(`error: cannot '${todo[0].action}' without a previous commit`, 'error');
+        updateStatus(`The first commit can't be a ${todo[0].action} - it needs a commit above it to fold into`);
+        return;
+    }
+    
+    const ontoFiles = getCommitFiles(rebase.onto);
+    if (!canUpdateWorkingTree(ontoFiles, 'checkout')) {
+        simulatorState.rebase = null;
+        updateSimulatorDisplay();
+        return;
+    }
+    rebase.editing = false;
+    rebase.todo = todo;
+    updateWorkingTree(ontoFiles);
+    simulatorState.HEAD = rebase.onto;
+    await runRebaseTodo();
+}
+
+async function runRebaseTodo() {
+    const { rebase } = simulatorState;
+    while (rebase.todo.length > 0) {
+        const item = rebase.todo.shift();
+        const applied = await applyRebaseItem(item);
+        if (!applied) return;
+    }
+    finishRebase();
+}
+
+// Replay one commit on top of HEAD; false when it stopped on a conflict
+async function applyRebaseItem(item) {
+    const commit = readObject(item.hash);
+    const head = getHeadCommit();
+    
+    // A commit that already sits on HEAD is reused as-is, keeping its hash
+    if (item.action === 'pick' && commit.parents[0] === head) {
+        simulatorState.HEAD = item.hash;
+        updateWorkingTree(getCommitFiles(item.hash));
+        return true;
+    }
+    
+    const headFiles = getCommitFiles(head);
+    const labels = { ours: 'HEAD', theirs: `${shortHash(item.hash)} (${commit.message.split('\n')[0]})` };
+    const merged = await mergeTrees(getCommitFiles(commit.parents[0] || null), headFiles, getCommitFiles(item.hash), labels);
+    if (!canUpdateWorkingTree(merged.files, 'merge', merged.conflicts.map(conflict => conflict.path))) {
+        simulatorState.rebase.todo.unshift(item);
+        return false;
+    }
+    updateWorkingTree(merged.files);
+    merged.autoMerged.forEach(path => appendToOutput(`Auto-merging ${path}`, 'output'));
+    
+    if (merged.conflicts.length > 0) {
+        recordConflicts(merged.conflicts, labels);
+        simulatorState.rebase.current = item;
+        const subject = `${shortHash(item.hash)}... ${commit.message.split('\n')[0]}`;
+        appendToOutput(`error: could not apply ${subject}`, 'error');
+        appendToOutput('hint: Resolve all conflicts manually, mark them as resolved with', 'error');
+        appendToOutput('hint: "git add/rm <conflicted_files>", then run "git rebase --continue".', 'error');
+        appendToOutput('hint: You can instead skip this commit: run "git rebase --skip".', 'error');
+        appendToOutput('hint: To abort and get back to the state before "git rebase", run "git rebase --abort".', 'error');
+        appendToOutput(`Could not apply ${subject}`, 'error');
+        updateSimulatorDisplay();
+        updateStatus(`Rebase stopped on a conflict in ${shortHash(item.hash)} - resolve it, git add, then git rebase --continue`);
+        return false;
+    }
+    
+    await commitRebaseItem(item);
+    return true;
+}
+
+// Commit the index for a replayed todo item; squash and fixup fold into the previous commit
+async function commitRebaseItem(item) {
+    const commit = readObject(item.hash);
+    const head = readObject(getHeadCommit());
+    const tree = await writeTree(simulatorState.index);
+    
+    if (item.action === 'squash' || item.action === 'fixup') {
+        const message = item.action === 'squash' ? `${head.message.trimEnd()}\n\n${item.message}` : head.message;
+        simulatorState.HEAD = await createCommit(tree, head.parents, message, head.author);
+        return;
+    }
+    // Changes that are already upstream leave nothing to commit
+    const wasEmpty = commit.parents.length > 0 && readObject(commit.parents[0]).tree === commit.tree;
+    if (tree === head.tree && !wasEmpty) return;
+    simulatorState.HEAD = await createCommit(tree, [getHeadCommit()], item.message, commit.author);
+}
+
+async function continueRebase() {
+    const { rebase } = simulatorState;
+    if (Object.keys(simulatorState.unmerged).length > 0) {
+        appendToOutput('error: you must edit all merge conflicts and then', 'error');
+        appendToOutput('mark them as resolved using git add', 'error');
+        return;
+    }
+    if (getRepoStatus().unstaged.length > 0) {
+        appendToOutput('error: cannot rebase: You have unstaged changes.', 'error');
+        appendToOutput('error: Please commit or stash them.', 'error');
+        return;
+    }
+    
+    const item = rebase.current;
+    rebase.current = null;
+    if (item && getRepoStatus().staged.length > 0) {
+        await commitRebaseItem(item);
+    }
+    await runRebaseTodo();
+}
+
+async function skipRebaseCommit() {
+    const { rebase } = simulatorState;
+    rebase.current = null;
+    simulatorState.unmerged = {};
+    resetToCommit(getHeadCommit());
+    await runRebaseTodo();
+}
+
+function abortRebase() {
+    const { rebase } = simulatorState;
+    simulatorState.rebase = null;
+    simulatorState.unmerged = {};
+    simulatorState.HEAD = rebase.branch ? `ref: refs/heads/${rebase.branch}` : rebase.origHead;
+    resetToCommit(rebase.origHead);
+    updateSimulatorDisplay();
+    updateStatus('Rebase aborted - your branch is back where it started');
+}
+
+// Make the index and tracked working files match a commit, like `git reset --hard`
+function resetToCommit(hash) {
+    const { workingTree } = simulatorState;
+    const targetFiles = getCommitFiles(hash);
+    Object.keys(simulatorState.index).forEach(path => {
+        if (!(path in targetFiles)) delete workingTree[path];
+    });
+    Object.keys(targetFiles).forEach(path => {
+        workingTree[path] = readObject(targetFiles[path]).content;
+    });
+    simulatorState.index = { ...targetFiles };
+}
+
+function finishRebase() {
+    const { rebase } = simulatorState;
+    const newHead = getHeadCommit();
+    simulatorState.rebase = null;
+    
+    if (rebase.branch) {
+        simulatorState.refs[`refs/heads/${rebase.branch}`] = newHead;
+        simulatorState.HEAD = `ref: refs/heads/${rebase.branch}`;
+        appendToOutput(`Successfully rebased and updated refs/heads/${rebase.branch}.`, 'output');
+    } else {
+        appendToOutput('Successfully rebased and updated detached HEAD.', 'output');
+    }
+    
+    updateSimulatorDisplay();
+    updateStatus(rebase.interactive
+        ? 'Interactive rebase complete - run git log --oneline to see the rewritten history'
+        : `Rebased onto ${shortHash(rebase.onto)}`);
+    recordTutorialEvent('rebase', { interactive: rebase.interactive });
+}
+
+// ---- Cherry-pick and revert ----
+
+// Both run Git's "sequencer": commits are applied to HEAD one at a time, each
+// as a new commit, and a conflict stops the run until --continue, --skip or --abort
+async function executeGitSequencer(command, args) {
+    const parsed = parseGitOptions(command, args);
+    if (!parsed) return;
+    const { options, operands } = parsed;
+    const { sequencer } = simulatorState;
+    const control = ['continue', 'skip', 'abort'].find(name => options[name]);
+    // Like Git, either command's --continue, --skip or --abort drives whichever one is running
+    if (control) {
+        if (!sequencer) {
+            appendToOutput('error: no cherry-pick or revert in progress', 'error');
+            appendToOutput(`fatal: ${command} failed`, 'error');
+            return;
+        }
+        if (control === 'abort') {
+            abortSequencer();
+        } else if (control === 'skip') {
+            await skipSequencerCommit();
+        } else {
+            await continueSequencer();
+        }
+        return;
+    }
+    
+    if (sequencer) {
+        appendToOutput(`error: ${sequencer.command} is already in progress`, 'error');
+        appendToOutput(`hint: try "git ${sequencer.command} (--continue | --abort | --skip)"`, 'error');
+        appendToOutput(`fatal: ${command} failed`, 'error');
+        return;
+    }
+    if (!requireIdentity()) return;
+    
+    const revisions = operands.filter(operand => operand !== '--');
+    if (revisions.length === 0) {
+        appendToOutput(`usage: ${gitCommandSpecs[command].usage}`, 'error');
+        return;
+    }
+    // A range A..B means the commits on B that aren't on A: oldest first for
+    // cherry-pick, newest first for revert so each undo applies cleanly
+    const commits = [];
+    for (const revision of revisions) {
+        const range = revision.split('..');
+        const resolved = range.map(part => resolveRevision(part || 'HEAD'));
+        if (resolved.some(hash => !hash)) {
+            appendToOutput(`fatal: bad revision '${revision}'`, 'error');
+            return;
+        }
+        if (range.length === 2) {
+            const hashes = collectCommits(resolved[1], resolved[0]);
+            commits.push(...(command === 'revert' ? hashes : hashes.reverse()));
+        } else {
+            commits.push(resolved[0]);
+        }
+    }
+    if (commits.length === 0) {
+        appendToOutput('error: empty commit set passed', 'error');
+        appendToOutput(`fatal: ${command} failed`, 'error');
+        return;
+    }
+    const merge = commits.find(hash => readObject(hash).parents.length > 1);
+    if (merge) {
+        appendToOutput(`error: commit ${merge} is a merge but no -m option was given.`, 'error');
+        appendToOutput(`fatal: ${command} failed`, 'error');
+        return;
+    }
+    
+    const status = getRepoStatus();
+    if (status.staged.length > 0 || status.unmerged.length > 0 || simulatorState.mergeHead || simulatorState.rebase) {
+        appendToOutput(`error: your local changes would be overwritten by ${command}.`, 'error');
+        appendToOutput('hint: commit your changes or stash them to proceed.', 'error');
+        appendToOutput(`fatal: ${command} failed`, 'error');
+        return;
+    }
+    
+    simulatorState.sequencer = {
+        command,
+        origHead: getHeadCommit(),
+        todo: commits,
+        current: null,
+        recordOrigin: Boolean(options.x),
+        applied: 0
+    };
+    await runSequencer();
+}
+
+async function runSequencer() {
+    const { sequencer } = simulatorState;
+    while (sequencer.todo.length > 0) {
+        const applied = await applySequencerCommit(sequencer.todo.shift());
+        if (!applied) return;
+    }
+    
+    simulatorState.sequencer = null;
+    updateSimulatorDisplay();
+    const count = `${sequencer.applied} commit${sequencer.applied !== 1 ? 's' : ''}`;
+    updateStatus(sequencer.command === 'revert'
+        ? `Reverted ${count} - the originals stay in history, undone by new commits`
+        : `Cherry-picked ${count} onto ${currentBranchName() || 'HEAD'}`);
+}
+
+// Apply one commit to HEAD - or, for revert, its inverse - and commit the result; false when it stopped
+async function applySequencerCommit(hash) {
+    const { sequencer } = simulatorState;
+    const commit = readObject(hash);
+    const subject = commit.message.split('\n')[0];
+    const revert = sequencer.command === 'revert';
+    
+    // Reverting is cherry-picking the change from the commit back to its parent
+    const [baseFiles, theirFiles] = revert
+        ? [getCommitFiles(hash), getCommitFiles(commit.parents[0] || null)]
+        : [getCommitFiles(commit.parents[0] || null), getCommitFiles(hash)];
+    const item = revert
+        ? { hash, message: `Revert "${subject}"\n\nThis reverts commit ${hash}.`, author: null }
+        : { hash, message: sequencer.recordOrigin ? `${commit.message.trimEnd()}\n\n(cherry picked from commit ${hash})` : commit.message, author: commit.author };
+    const labels = { ours: 'HEAD', theirs: `${revert ? 'parent of ' : ''}${shortHash(hash)} (${subject})` };
+    
+    const merged = await mergeTrees(baseFiles, getCommitFiles(getHeadCommit()), theirFiles, labels);
+    if (!canUpdateWorkingTree(merged.files, 'merge', merged.conflicts.map(conflict => conflict.path))) {
+        // Nothing has been applied yet, so there is nothing to continue
+        if (getHeadCommit() === sequencer.origHead) {
+            simulatorState.sequencer = null;
+        } else {
+            sequencer.todo.unshift(hash);
+        }
+        appendToOutput(`fatal: ${sequencer.command} failed`, 'error');
+        return false;
+    }
+    updateWorkingTree(merged.files);
+    merged.autoMerged.forEach(path => appendToOutput(`Auto-merging ${path}`, 'output'));
+    
+    if (merged.conflicts.length > 0) {
+        recordConflicts(merged.conflicts, labels);
+        sequencer.current = item;
+        simulatorState.pendingCommitMessage = item.message;
+        const { command } = sequencer;
+        appendToOutput(`error: could not ${revert ? 'revert' : 'apply'} ${shortHash(hash)}... ${subject}`, 'error');
+        appendToOutput('hint: After resolving the conflicts, mark them with', 'error');
+        appendToOutput('hint: "git add/rm <pathspec>", then run', 'error');
+        appendToOutput(`hint: "git ${command} --continue".`, 'error');
+        appendToOutput(`hint: You can instead skip this commit with "git ${command} --skip".`, 'error');
+        appendToOutput(`hint: To abort and get back to the state before "git ${command}",`, 'error');
+        appendToOutput(`hint: run "git ${command} --abort".`, 'error');
+        updateSimulatorDisplay();
+        updateStatus(`${revert ? 'Revert' : 'Cherry-pick'} stopped on a conflict - resolve it, git add, then git ${command} --continue`);
+        return false;
+    }
+    
+    return commitSequencerItem(item);
+}
+
+// Commit the index for the commit being picked or reverted; stops if that changes nothing
+async function commitSequencerItem(item) {
+    const { sequencer } = simulatorState;
+    const parent = getHeadCommit();
+    const tree = await writeTree(simulatorState.index);
+    if (tree === readObject(parent).tree) {
+        sequencer.current = item;
+        simulatorState.pendingCommitMessage = item.message;
+        appendToOutput(`The previous ${sequencer.command} is now empty, possibly due to conflict resolution.`, 'error');
+        appendToOutput('If you wish to commit it anyway, use:\n\n    git commit --allow-empty\n', 'error');
+        appendToOutput(`Otherwise, please use 'git ${sequencer.command} --skip'`, 'error');
+        updateSimulatorDisplay();
+        updateStatus(`${shortHash(item.hash)} changes nothing on this branch - skip it with git ${sequencer.command} --skip`);
+        return false;
+    }
+    
+    const hash = await createCommit(tree, [parent], item.message, item.author);
+    updateHead(hash);
+    simulatorState.pendingCommitMessage = null;
+    sequencer.applied++;
+    appendToOutput(`[${currentBranchName() || 'detached HEAD'} ${shortHash(hash)}] ${item.message.split('\n')[0]}`, 'output');
+    printChangeSummary(getCommitFiles(parent), simulatorState.index);
+    recordTutorialEvent(sequencer.command);
+    return true;
+}
+
+async function continueSequencer() {
+    const { sequencer } = simulatorState;
+    if (Object.keys(simulatorState.unmerged).length > 0) {
+        appendToOutput('error: Committing is not possible because you have unmerged files.', 'error');
+        appendToOutput("hint: Fix them up in the work tree, and then use 'git add/rm <file>'", 'error');
+        appendToOutput('hint: as appropriate to mark resolution and make a commit.', 'error');
+        appendToOutput('fatal: Exiting because of an unresolved conflict.', 'error');
+        return;
+    }
+    
+    // Already committed by hand with `git commit` when current is gone
+    const item = sequencer.current;
+    sequencer.current = null;
+    if (item && !(await commitSequencerItem(item))) return;
+    await runSequencer();
+}
+
+async function skipSequencerCommit() {
+    simulatorState.sequencer.current = null;
+    simulatorState.unmerged = {};
+    simulatorState.pendingCommitMessage = null;
+    resetToCommit(getHeadCommit());
+    await runSequencer();
+}
+
+function abortSequencer() {
+    const { sequencer } = simulatorState;
+    simulatorState.sequencer = null;
+    simulatorState.unmerged = {};
+    simulatorState.pendingCommitMessage = null;
+    updateHead(sequencer.origHead);
+    resetToCommit(sequencer.origHead);
+    updateSimulatorDisplay();
+    updateStatus(`${sequencer.command === 'revert' ? 'Revert' : 'Cherry-pick'} aborted - HEAD is back at ${shortHash(sequencer.origHead)}`);
+}
+
+// ---- Remote: origin ----
+
+// Upstream remote-tracking ref of a local branch (e.g. refs/remotes/origin/main), or null
+function getUpstreamRef(branch) {
+    const remoteBranch = branch ? simulatorState.upstreams[branch] : null;
+    return remoteBranch ? `refs/remotes/origin/${remoteBranch}` : null;
+}
+
+// "Your branch is ahead of 'origin/main' by 2 commits." lines for `git status`
+function describeUpstream(branch) {
+    const upstreamRef = getUpstreamRef(branch);
+    if (!upstreamRef) return '';
+    
+    const upstreamName = upstreamRef.slice('refs/remotes/'.length);
+    const upstream = simulatorState.refs[upstreamRef];
+    if (!upstream) {
+        return `Your branch is based on '${upstreamName}', but the upstream is gone.\n` +
+            '  (use "git branch --unset-upstream" to fixup)\n';
+    }
+    
+    const head = getHeadCommit();
+    const ahead = collectCommits(head, upstream).length;
+    const behind = collectCommits(upstream, head).length;
+    const commits = count => `${count} commit${count !== 1 ? 's' : ''}`;
+    if (ahead > 0 && behind > 0) {
+        return `Your branch and '${upstreamName}' have diverged,\n` +
+            `and have ${ahead} and ${behind} different commits each, respectively.\n` +
+            '  (use "git pull" if you want to integrate the remote branch with yours)\n';
+    }
+    if (ahead > 0) {
+        return `Your branch is ahead of '${upstreamName}' by ${commits(ahead)}.\n` +
+            '  (use "git push" to publish your local commits)\n';
+    }
+    if (behind > 0) {
+        return `Your branch is behind '${upstreamName}' by ${commits(behind)}, and can be fast-forwarded.\n` +
+            '  (use "git pull" to update your local branch)\n';
+    }
+    return `Your branch is up to date with '${upstreamName}'.\n`;
+}
+
+function executeGitRemote(args) {
+    const parsed = parseGitOptions('remote', args);
+    if (!parsed) return;
+    const verbose = Boolean(parsed.options.verbose);
+    if (parsed.operands.length > 0) {
+        appendToOutput('error: the simulator has a single remote, origin - try git remote -v', 'error');
+        return;
+    }
+    if (verbose) {
+        appendToOutput(`origin\t${simulatorState.origin.url} (fetch)\norigin\t${simulatorState.origin.url} (push)`, 'output');
+    } else {
+        appendToOutput('origin', 'output');
+    }
+}
+
+// Copy origin's branches into refs/remotes/origin/*, printing what moved
+function executeGitFetch(args) {
+    const parsed = parseGitOptions('fetch', args);
+    if (!parsed) return false;
+    const remoteName = parsed.operands[0];
+    if (remoteName && remoteName !== 'origin') {
+        appendToOutput(`fatal: '${remoteName}' does not appear to be a git repository`, 'error');
+        appendToOutput('fatal: Could not read from remote repository.', 'error');
+        return false;
+    }
+    
+    const { refs, origin } = simulatorState;
+    // Naming branches fetches just those, into FETCH_HEAD and their tracking branches
+    const branches = parsed.operands.slice(1);
+    const missing = branches.find(name => !origin.refs[`refs/heads/${name}`]);
+    if (missing) {
+        appendToOutput(`fatal: couldn't find remote ref ${missing}`, 'error');
+        return false;
+    }
+    const prune = Boolean(parsed.options.prune) && branches.length === 0;
+    const updates = [];
+    Object.keys(origin.refs).filter(ref => ref.startsWith('refs/heads/')).sort().forEach(ref => {
+        const name = ref.slice('refs/heads/'.length);
+        if (branches.length > 0 && !branches.includes(name)) return;
+        const trackingRef = `refs/remotes/origin/${name}`;
+        const old = refs[trackingRef];
+        const tip = origin.refs[ref];
+        if (branches.length > 0) {
+            updates.push({ summary: ' * branch           ', name, target: 'FETCH_HEAD' });
+        }
+        if (old === tip) return;
+        
+        if (!old) {
+            updates.push({ summary: ' * [new branch]     ', name });
+        } else if (isAncestor(old, tip)) {
+            updates.push({ summary: `   ${shortHash(old)}..${shortHash(tip)} `, name });
+        } else {
+            updates.push({ summary: ` + ${shortHash(old)}...${shortHash(tip)}`, name, forced: true });
+        }
+        refs[trackingRef] = tip;
+    });
+    // Tags we don't have yet come along too, on a full fetch
+    Object.keys(origin.refs).filter(ref => branches.length === 0 && ref.startsWith('refs/tags/') && !refs[ref]).sort().forEach(ref => {
+        const name = ref.slice('refs/tags/'.length);
+        updates.push({ summary: ' * [new tag]        ', name, target: name });
+        refs[ref] = origin.refs[ref];
+    });
+    if (prune) {
+        Object.keys(refs).sort().forEach(ref => {
+            const name = ref.slice('refs/remotes/origin/'.length);
+            if (ref.startsWith('refs/remotes/origin/') && !origin.refs[`refs/heads/${name}`]) {
+                updates.push({ summary: ' - [deleted]        ', name: '(none)', target: `origin/${name}` });
+                delete refs[ref];
+            }
+        });
+    }
+    
+    if (updates.length > 0) {
+        const width = Math.max(...updates.map(update => update.name.length));
+        appendToOutput(`From ${origin.url.replace(/\.git$/, '')}`, 'output');
+        updates.forEach(update => {
+            const target = update.target || `origin/${update.name}`;
+            appendToOutput(`${update.summary} ${update.name.padEnd(width)} -> ${target}${update.forced ? '  (forced update)' : ''}`, 'output');
+        });
+    }
+    
+    updateSimulatorDisplay();
+    const changed = updates.filter(update => update.target !== 'FETCH_HEAD').length;
+    updateStatus(changed > 0
+        ? `Fetched ${changed} updated branch${changed !== 1 ? 'es' : ''} from origin - nothing in your branch has changed yet`
+        : 'Fetched from origin - already up to date');
+    return true;
+}
+
+// `git pull [--rebase]`: fetch, then merge (or rebase onto) the upstream branch
+async function executeGitPull(args) {
+    const parsed = parseGitOptions('pull', args);
+    if (!parsed) return;
+    const branch = currentBranchName();
+    const names = parsed.operands;
+    const rebase = parsed.options.rebase && !parsed.options['no-rebase'];
+    
+    if (!branch) {
+        appendToOutput('You are not currently on a branch.', 'error');
+        appendToOutput('Please specify which branch you want to merge with.', 'error');
+        return;
+    }
+    // `git pull` and `git pull origin` both use the branch's upstream
+    const remoteBranch = names[1] || (!names[0] || names[0] === 'origin' ? simulatorState.upstreams[branch] : null);
+    if (!remoteBranch) {
+        appendToOutput('There is no tracking information for the current branch.', 'error');
+        appendToOutput('Please specify which branch you want to merge with.', 'error');
+        appendToOutput('', 'error');
+        appendToOutput('    git pull <remote> <branch>', 'error');
+        appendToOutput('', 'error');
+        appendToOutput('If you wish to set tracking information for this branch you can do so with:', 'error');
+        appendToOutput('', 'error');
+        appendToOutput(`    git branch --set-upstream-to=origin/<branch> ${branch}`, 'error');
+        return;
+    }
+    
+    if (!executeGitFetch(names.slice(0, 1))) return;
+    const trackingName = `origin/${remoteBranch}`;
+    if (!simulatorState.refs[`refs/remotes/${trackingName}`]) {
+        appendToOutput(`fatal: couldn't find remote ref ${remoteBranch}`, 'error');
+        return;
+    }
+    
+    if (rebase) {
+        await executeGitRebase([trackingName]);
+    } else {
+        const into = ['main', 'master'].includes(branch) ? '' : ` into ${branch}`;
+        await executeGitMerge([trackingName], `Merge branch '${remoteBranch}' of ${simulatorState.origin.url.replace(/\.git$/, '')}${into}`);
+    }
+}
+
+// `git push [-u] [--force] [origin] [<branch> | <src>:<dst>]`
+function executeGitPush(args) {
+    const parsed = parseGitOptions('push', args);
+    if (!parsed) return;
+    const { refs, origin, upstreams } = simulatorState;
+    const setUpstream = Boolean(parsed.options['set-upstream']);
+    const force = Boolean(parsed.options.force);
+    const names = parsed.operands.filter(arg => arg !== '--');
+    
+    if (names[0] && names[0] !== 'origin') {
+        appendToOutput(`fatal: '${names[0]}' does not appear to be a git repository`, 'error');
+        appendToOutput('fatal: Could not read from remote repository.', 'error');
+        return;
+    }
+    
+    // Tags travel only when asked for: all of them with --tags, or one by name
+    if (parsed.options.tags) {
+        pushTags(getTagNames());
+        return;
+    }
+    if (names[1] && refs[`refs/tags/${names[1]}`] && !refs[`refs/heads/${names[1]}`]) {
+        pushTags([names[1]]);
+        return;
+    }
+    
+    const branch = currentBranchName();
+    let [source, destination] = (names[1] || '').split(':');
+    if (!source) {
+        if (!branch) {
+            appendToOutput('fatal: You are not currently on a branch.', 'error');
+            appendToOutput('To push the history leading to the current (detached HEAD)', 'error');
+            appendToOutput('state now, use', 'error');
+            appendToOutput('', 'error');
+            appendToOutput('    git push origin HEAD:<name-of-remote-branch>', 'error');
+            return;
+        }
+        if (!names[0] && !setUpstream && !upstreams[branch]) {
+            appendToOutput(`fatal: The current branch ${branch} has no upstream branch.`, 'error');
+            appendToOutput('To push the current branch and set the remote as upstream, use', 'error');
+            appendToOutput('', 'error');
+            appendToOutput(`    git push --set-upstream origin ${branch}`, 'error');
+            return;
+        }
+        source = branch;
+        destination = destination || upstreams[branch] || branch;
+    }
+    destination = destination || (source === 'HEAD' ? branch : source);
+    
+    const local = resolveRevision(source);
+    if (!local || !destination) {
+        appendToOutput(`error: src refspec ${source} does not match any`, 'error');
+        appendToOutput(`error: failed to push some refs to '${origin.url}'`, 'error');
+        return;
+    }
+    
+    const remoteRef = `refs/heads/${destination}`;
+    const remoteTip = origin.refs[remoteRef];
+    if (remoteTip === local) {
+        appendToOutput('Everything up-to-date', 'output');
+        if (setUpstream && branch) setBranchUpstream(branch, destination);
+        return;
+    }
+    
+    // Only fast-forwards are accepted unless --force is given
+    if (remoteTip && !isAncestor(remoteTip, local) && !force) {
+        const fetched = Object.keys(refs).some(ref => isAncestor(remoteTip, peelToCommit(refs[ref])));
+        appendToOutput(`To ${origin.url}`, 'error');
+        appendToOutput(` ! [rejected]        ${source} -> ${destination} (${fetched ? 'non-fast-forward' : 'fetch first'})`, 'error');
+        appendToOutput(`error: failed to push some refs to '${origin.url}'`, 'error');
+        if (fetched) {
+            appendToOutput('hint: Updates were rejected because the tip of your current branch is behind', 'error');
+            appendToOutput('hint: its remote counterpart. If you want to integrate the remote changes,', 'error');
+            appendToOutput("hint: use 'git pull' before pushing again.", 'error');
+        } else {
+            appendToOutput('hint: Updates were rejected because the remote contains work that you do not', 'error');
+            appendToOutput('hint: have locally. This is usually caused by another repository pushing to', 'error');
+            appendToOutput('hint: the same ref. If you want to integrate the remote changes, use', 'error');
+            appendToOutput("hint: 'git pull' before pushing again.", 'error');
+        }
+        appendToOutput("hint: See the 'Note about fast-forwards' in 'git push --help' for details.", 'error');
+        updateStatus('Push rejected - the remote has commits you do not have yet. Pull first!');
+        recordTutorialEvent('push', { rejected: true });
+        return;
+    }
+    
+    const objectCount = countObjectsToPush([local], Object.values(origin.refs));
+    if (objectCount > 0) {
+        appendToOutput([
+            `Enumerating objects: ${objectCount}, done.`,
+            `Counting objects: 100% (${objectCount}/${objectCount}), done.`,
+            `Writing objects: 100% (${objectCount}/${objectCount}), done.`,
+            `Total ${objectCount} (delta 0), reused 0 (delta 0), pack-reused 0`
+        ].join('\n'), 'output');
+    }
+    appendToOutput(`To ${origin.url}`, 'output');
+    const label = `${source} -> ${destination}`;
+    if (!remoteTip) {
+        appendToOutput(` * [new branch]      ${label}`, 'output');
+    } else if (isAncestor(remoteTip, local)) {
+        appendToOutput(`   ${shortHash(remoteTip)}..${shortHash(local)}  ${label}`, 'output');
+    } else {
+        appendToOutput(` + ${shortHash(remoteTip)}...${shortHash(local)} ${label} (forced update)`, 'output');
+    }
+    
+    origin.refs[remoteRef] = local;
+    refs[`refs/remotes/origin/${destination}`] = local;
+    if (setUpstream && branch) setBranchUpstream(branch, destination);
+    
+    updateSimulatorDisplay();
+    updateStatus(`Pushed ${source} to origin/${destination}`);
+    recordTutorialEvent('push', { rejected: false });
+}
+
+// Send tags the remote doesn't have yet. A tag the remote already has is
+// rejected if it points somewhere else - tags aren't meant to move.
+function pushTags(names) {
+    const { refs, origin } = simulatorState;
+    const pending = names.filter(name => origin.refs[`refs/tags/${name}`] !== refs[`refs/tags/${name}`]);
+    if (pending.length === 0) {
+        appendToOutput('Everything up-to-date', 'output');
+        return;
+    }
+    
+    const created = pending.filter(name => !origin.refs[`refs/tags/${name}`]);
+    const rejected = pending.filter(name => origin.refs[`refs/tags/${name}`]);
+    const objectCount = countObjectsToPush(created.map(name => refs[`refs/tags/${name}`]), Object.values(origin.refs));
+    if (objectCount > 0) {
+        appendToOutput([
+            `Enumerating objects: ${objectCount}, done.`,
+            `Counting objects: 100% (${objectCount}/${objectCount}), done.`,
+            `Writing objects: 100% (${objectCount}/${objectCount}), done.`,
+            `Total ${objectCount} (delta 0), reused 0 (delta 0), pack-reused 0`
+        ].join('\n'), 'output');
+    }
+    appendToOutput(`To ${origin.url}`, rejected.length > 0 ? 'error' : 'output');
+    created.forEach(name => {
+        appendToOutput(` * [new tag]         ${name} -> ${name}`, 'output');
+        origin.refs[`refs/tags/${name}`] = refs[`refs/tags/${name}`];
+    });
+    rejected.forEach(name => appendToOutput(` ! [rejected]        ${name} -> ${name} (already exists)`, 'error'));
+    if (rejected.length > 0) {
+        appendToOutput(`error: failed to push some refs to '${origin.url}'`, 'error');
+        appendToOutput('hint: Updates were rejected because the tag already exists in the remote.', 'error');
+    }
+    
+    updateSimulatorDisplay();
+    updateStatus(created.length > 0
+        ? `Pushed ${created.length} tag${created.length !== 1 ? 's' : ''} to origin`
+        : 'Push rejected - origin already has a different tag by that name');
+    if (created.length > 0) {
+        recordTutorialEvent('push-tags', { annotated: created.some(name => resolveTagObject(name)) });
+    }
+}
+
+// Objects the remote is missing: new commits plus any trees and blobs they introduce
+function countObjectsToPush(tips, remoteTips) {
+    const known = new Set();
+    const walkTree = (hash, into) => {
+        if (known.has(hash) || into.has(hash)) return;
+        into.add(hash);
+        readObject(hash).entries.forEach(entry => {
+            if (entry.mode === '40000') {
+                walkTree(entry.hash, into);
+            } else if (!known.has(entry.hash)) {
+                into.add(entry.hash);
+            }
+        });
+    };
+    
+    // Tag objects count too; the commits behind them are walked like any tip
+    const walkCommits = (tip, into) => {
+        if (tip !== peelToCommit(tip) && !known.has(tip)) into.add(tip);
+        collectCommits(peelToCommit(tip), null).filter(hash => !known.has(hash)).forEach(hash => {
+            into.add(hash);
+            walkTree(readObject(hash).tree, into);
+        });
+    };
+    
+    remoteTips.forEach(remoteTip => walkCommits(remoteTip, known));
+    const missing = new Set();
+    tips.forEach(tip => walkCommits(tip, missing));
+    return missing.size;
+}
+
+function setBranchUpstream(branch, remoteBranch) {
+    simulatorState.upstreams[branch] = remoteBranch;
+    appendToOutput(`branch '${branch}' set up to track 'origin/${remoteBranch}'.`, 'output');
+}
+
+// `git switch <name>` for a branch that only exists on origin creates a tracking branch
+function checkoutRemoteBranch(name) {
+    const target = simulatorState.refs[`refs/remotes/origin/${name}`];
+    if (!checkoutCommit(target, `ref: refs/heads/${name}`, true)) return;
+    if (!createBranch(name, target)) return;
+    
+    checkoutCommit(target, `ref: refs/heads/${name}`);
+    setBranchUpstream(name, name);
+    appendToOutput(`Switched to a new branch '${name}'`, 'output');
+    updateStatus(`Created ${name} from origin/${name}`);
+}
+
+// Another developer pushes a commit to origin, so fetch, pull and rejected pushes can be practised
+async function simulateTeammatePush() {
+    await simulatorReady;
+    const { origin } = simulatorState;
+    const branch = simulatorState.upstreams[currentBranchName()] || 'main';
+    const parent = origin.refs[`refs/heads/${branch}`];
+    if (!parent) return;
+    
+    const files = { ...getCommitFiles(parent) };
+    const changelog = files['CHANGELOG.md'] ? readObject(files['CHANGELOG.md']).content : '# Changelog\n\n';
+    const entry = collectCommits(parent, null).length + 1;
+    files['CHANGELOG.md'] = await writeObject({ type: 'blob', content: `${changelog}- Team update #${entry}\n` });
+    
+    const tree = await writeTree(files);
+    // The teammate both wrote and committed it, whoever is configured here
+    const signature = { ...createSignature(), ...simulatorTeammate };
+    const hash = await writeObject({ type: 'commit', tree, parents: [parent], author: signature, committer: signature, message: `Update changelog (team update #${entry})` });
+    origin.refs[`refs/heads/${branch}`] = hash;
+    saveSimulatorState();
+    recordTimelineStep(`(${simulatorTeammate.name} pushed to origin/${branch})`);
+    updateStatus(`${simulatorTeammate.name} pushed ${shortHash(hash)} to origin/${branch} - try git fetch or git push`);
+}
+
+// Git lists a folder holding only untracked files once, as "folder/"
+function collapseUntrackedPaths(untracked) {
+    const tracked = Object.keys(simulatorState.index);
+    const shown = untracked.map(path => {
+        const segments = path.split('/');
+        for (let depth = 1; depth < segments.length; depth++) {
+            const folder = `${segments.slice(0, depth).join('/')}/`;
+            if (!tracked.some(trackedPath => trackedPath.startsWith(folder))) return folder;
+        }
+        return path;
+    });
+    return [...new Set(shown)];
+}
+
+// Print the "N files changed" summary Git shows after a commit, plus the
+// per-file --stat table that merges show
+function printChangeSummary(oldFiles, newFiles, showStat = false) {
+    const changes = diffFileMaps(oldFiles, newFiles);
+    if (changes.length === 0) return;
+    
+    const content = hash => (hash ? readObject(hash).content : undefined);
+    const entries = changes.map(file => ({ path: file.path, ...countLineChanges(content(oldFiles[file.path]), content(newFiles[file.path])) }));
+    const lines = showStat ? formatDiffStat(entries) : [formatChangeTotals(entries)];
+    appendToOutput(lines.join('\n'), 'output');
+    changes.forEach(file => {
+        if (file.change === 'new') appendToOutput(` create mode 100644 ${file.path}`, 'output');
+        if (file.change === 'deleted') appendToOutput(` delete mode 100644 ${file.path}`, 'output');
+    });
+}
+
+async function executeGitLog(args) {
+    const parsed = parseGitOptions('log', args);
+    if (!parsed) return;
+    const revisions = parsed.operands.filter(operand => operand !== '--');
+    const sinceValue = parsed.options.since || parsed.options.after;
+    const options = {
+        oneline: Boolean(parsed.options.oneline),
+        graph: Boolean(parsed.options.graph),
+        all: Boolean(parsed.options.all),
+        maxCount: parsed.options['max-count'] !== undefined ? parseInt(parsed.options['max-count'], 10) : Infinity,
+        author: parsed.options.author || null,
+        grep: parsed.options.grep || null,
+        since: sinceValue ? parseApproxDate(sinceValue) : null,
+        ignoreCase: Boolean(parsed.options['regexp-ignore-case'])
+    };
+    
+    if (Number.isNaN(options.maxCount) || options.since === undefined) {
+        appendToOutput('fatal: invalid option value', 'error');
+        return;
+    }
+    
+    // Starting points: HEAD by default, every ref with --all, or the given revisions (a..b ranges too)
+    let include = [];
+    let exclude = [];
+    if (options.all) {
+        include = [getHeadCommit(), ...Object.values(simulatorState.refs).map(peelToCommit)];
+    }
+    for (const revision of revisions) {
+        const range = revision.split('..');
+        const resolved = range.map(part => resolveRevision(part || 'HEAD'));
+        if (resolved.some(hash => !hash)) {
+            appendToOutput(`fatal: ambiguous argument '${revision}': unknown revision or path not in the working tree.`, 'error');
+            return;
+        }
+        if (range.length === 2) {
+            exclude.push(resolved[0]);
+            include.push(resolved[1]);
+        } else {
+            include.push(resolved[0]);
+        }
+    }
+    if (!options.all && revisions.length === 0) {
+        include = [getHeadCommit()];
+    }
+    include = include.filter(Boolean);
+    
+    if (include.length === 0) {
+        appendToOutput(`fatal: your current branch '${currentBranchName()}' does not have any commits yet`, 'error');
+        return;
+    }
+    
+    const excluded = new Set(exclude.flatMap(hash => collectCommits(hash, null)));
+    const reachable = [...new Set(include.flatMap(hash => collectCommits(hash, null)))].filter(hash => !excluded.has(hash));
+    const flags = options.ignoreCase ? 'i' : '';
+    const matches = (pattern, text) => {
+        try {
+            return new RegExp(pattern, flags).test(text);
+        } catch (error) {
+            return text.includes(pattern);
+        }
+    };
+    
+    const commits = orderCommits(reachable)
+        .filter(hash => {
+            const commit = readObject(hash);
+            return (!options.author || matches(options.author, `${commit.author.name} <${commit.author.email}>`)) &&
+                (!options.grep || matches(options.grep, commit.message)) &&
+                (!options.since || commit.committer.timestamp >= options.since);
+        })
+        .slice(0, options.maxCount);
+    
+    if (commits.length === 0) return;
+    
+    const decorations = getRefDecorations();
+    const formatCommit = hash => {
+        const commit = readObject(hash);
+        const decoration = decorations[hash] ? ` (${decorations[hash].join(', ')})` : '';
+        if (options.oneline) {
+            return [`${shortHash(hash)}${decoration} ${commit.message.split('\n')[0]}`];
+        }
+        return [
+            `commit ${hash}${decoration}`,
+            ...formatCommitHeader(commit),
+            ''
+        ];
+    };
+    
+    const lines = options.graph
+        ? renderLogGraph(commits, formatCommit)
+        : commits.flatMap(formatCommit);
+    appendToOutput(lines.join('\n').trimEnd(), 'output');
+    updateStatus(`Showing ${commits.length} commit${commits.length !== 1 ? 's' : ''}`);
+}
+
+async function executeGitShow(args) {
+    const parsed = parseGitOptions('show', args);
+    if (!parsed) return;
+    const revision = parsed.operands.find(operand => operand !== '--') || 'HEAD';
+    
+    // <rev>:<path> shows a file as it was in that commit
+    if (revision.includes(':')) {
+        const [rev, path] = [revision.slice(0, revision.indexOf(':')), revision.slice(revision.indexOf(':') + 1)];
+        const commit = resolveRevision(rev || 'HEAD');
+        const blob = commit && getCommitFiles(commit)[path];
+        if (!blob) {
+            appendToOutput(`fatal: path '${path}' does not exist in '${rev || 'HEAD'}'`, 'error');
+            return;
+        }
+        appendToOutput(readObject(blob).content.replace(/\n$/, ''), 'output');
+        return;
+    }
+    
+    const hash = resolveRevision(revision);
+    if (!hash) {
+        appendToOutput(`fatal: ambiguous argument '${revision}': unknown revision or path not in the working tree.`, 'error');
+        return;
+    }
+    
+    // An annotated tag shows the tag itself before the commit it points to
+    const tag = resolveTagObject(revision);
+    if (tag) {
+        appendToOutput([
+            `tag ${tag.tag}`,
+            `Tagger: ${tag.tagger.name} <${tag.tagger.email}>`,
+            `Date:   ${formatGitDate(tag.tagger.timestamp, tag.tagger.timezone)}`,
+            '',
+            tag.message,
+            ''
+        ].join('\n'), 'output');
+    }
+    
+    const commit = readObject(hash);
+    const decorations = getRefDecorations();
+    const decoration = decorations[hash] ? ` (${decorations[hash].join(', ')})` : '';
+    appendToOutput([`commit ${hash}${decoration}`, ...formatCommitHeader(commit)].join('\n'), 'output');
+    
+    // Merges show no patch by default; other commits show what they changed
+    if (commit.parents.length <= 1) {
+        const parentFiles = getCommitFiles(commit.parents[0] || null);
+        const files = getCommitFiles(hash);
+        const content = blob => (blob ? readObject(blob).content : undefined);
+        appendToOutput('', 'output');
+        for (const { path } of diffFileMaps(parentFiles, files)) {
+            const patch = await buildFilePatch(path, content(parentFiles[path]), content(files[path]));
+            patch.forEach(line => appendToOutput(line, diffLineType(line)));
+        }
+    }
+    updateStatus(`Showing commit ${shortHash(hash)}`);
+}
+
+// Author, date and indented message lines of the default log format
+function formatCommitHeader(commit) {
+    const lines = [];
+    if (commit.parents.length > 1) {
+        lines.push(`Merge: ${commit.parents.map(shortHash).join(' ')}`);
+    }
+    lines.push(`Author: ${commit.author.name} <${commit.author.email}>`);
+    lines.push(`Date:   ${formatGitDate(commit.author.timestamp, commit.author.timezone)}`);
+    lines.push('');
+    commit.message.split('\n').forEach(line => lines.push(line ? `    ${line}` : ''));
+    return lines;
+}
+
+// Git's default date format, in the committer's own timezone:
+// "Wed Aug 13 10:00:00 2025 -0500"
+function formatGitDate(timestamp, timezone) {
+    const sign = timezone[0] === '-' ? -1 : 1;
+    const offsetMinutes = sign * (parseInt(timezone.slice(1, 3), 10) * 60 + parseInt(timezone.slice(3, 5), 10));
+    const date = new Date((timestamp + offsetMinutes * 60) * 1000);
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const time = [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+    return `${days[date.getUTCDay()]} ${months[date.getUTCMonth()]} ${date.getUTCDate()} ${time} ${date.getUTCFullYear()} ${timezone}`;
+}
+
+// A small subset of Git's approxidate: "2 days ago", "2.weeks.ago",
+// "yesterday", "today" or anything Date.parse understands.
+// Returns a Unix timestamp, or undefined when the date can't be read.
+function parseApproxDate(text) {
+    const value = String(text || '').replace(/\./g, ' ').trim().toLowerCase();
+    const now = Math.floor(Date.now() / 1000);
+    const units = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800, month: 2592000, year: 31536000 };
+    
+    const relative = /^(\d+)\s+(second|minute|hour|day|week|month|year)s?(\s+ago)?$/.exec(value);
+    if (relative) {
+        return now - parseInt(relative[1], 10) * units[relative[2]];
+    }
+    if (value === 'yesterday') return now - units.day;
+    if (value === 'today' || value === 'midnight') {
+        const midnight = new Date();
+        midnight.setHours(0, 0, 0, 0);
+        return Math.floor(midnight.getTime() / 1000);
+    }
+    
+    const parsed = Date.parse(String(text));
+    return Number.isNaN(parsed) ? undefined : Math.floor(parsed / 1000);
+}
+
+// Map commit hash -> ref names, in the order `git log` decorates them
+function getRefDecorations() {
+    const decorations = {};
+    const add = (hash, label) => {
+        decorations[hash] = decorations[hash] || [];
+        decorations[hash].push(label);
+    };
+    
+    const current = currentBranchName();
+    const head = getHeadCommit();
+    if (head) {
+        add(head, current ? `HEAD -> ${current}` : 'HEAD');
+    }
+    Object.keys(simulatorState.refs).sort().forEach(ref => {
+        if (ref === `refs/heads/${current}`) return;
+        if (ref.startsWith('refs/heads/')) add(simulatorState.refs[ref], ref.slice('refs/heads/'.length));
+    });
+    getTagNames().forEach(name => add(peelToCommit(simulatorState.refs[`refs/tags/${name}`]), `tag: ${name}`));
+    Object.keys(simulatorState.refs).sort().forEach(ref => {
+        if (ref.startsWith('refs/remotes/')) add(simulatorState.refs[ref], ref.slice('refs/remotes/'.length));
+    });
+    if (simulatorState.refs['refs/stash']) {
+        add(simulatorState.refs['refs/stash'], 'refs/stash');
+    }
+    return decorations;
+}
+
+// Draw an ASCII commit graph like `git log --graph`. Each column is a line
+// of history waiting for the commit it will reach next.
+function renderLogGraph(commits, formatCommit) {
+    const lines = [];
+    const columns = [];
+    
+    const bars = (count, markAt, mark) => Array.from({ length: count }, (_, i) => (i === markAt ? mark : '|')).join(' ');
+    // Build a connector row from (position, character) pairs; column i sits at position 2i
+    const connector = cells => {
+        const chars = [];
+        cells.forEach(([position, char]) => {
+            while (chars.length < position) chars.push(' ');
+            chars[position] = char;
+        });
+        return chars.join('');
+    };
+    
+    commits.forEach(hash => {
+        let column = columns.indexOf(hash);
+        if (column === -1) {
+            columns.push(hash);
+            column = columns.length - 1;
+        }
+        
+        // This column now waits for the first parent; extra parents of a
+        // merge open new columns to its right
+        const parents = readObject(hash).parents;
+        const newParents = parents.slice(1).filter(parent => !columns.includes(parent));
+        const width = columns.length;
+        
+        const [first, ...rest] = formatCommit(hash);
+        const padding = ' '.repeat(newParents.length * 2);
+        lines.push(`${bars(width, column, '*')} ${padding}${first}`);
+        columns.splice(column, 1, ...parents.slice(0, 1), ...newParents);
+        
+        if (newParents.length > 0) {
+            const cells = [];
+            for (let i = 0; i < width; i++) {
+                if (i <= column) cells.push([i * 2, '|']);
+                if (i >= column) cells.push([i * 2 + 1, '\\']);
+            }
+            lines.push(connector(cells));
+        }
+        
+        // The rest of a multi-line entry runs alongside the open columns
+        rest.forEach(text => lines.push(`${bars(columns.length, -1, '|') || ' '} ${text}`.trimEnd()));
+        
+        if (parents.length === 0 && column < columns.length) {
+            // A root commit ends its line; columns to the right shift left
+            const cells = [];
+            for (let i = 0; i < width; i++) {
+                if (i < column) cells.push([i * 2, '|']);
+                if (i > column) cells.push([i * 2 - 1, '/']);
+            }
+            lines.push(connector(cells));
+        }
+        
+        // Two lines waiting for the same commit join up
+        let duplicate = columns.findIndex((waitingFor, i) => columns.indexOf(waitingFor) !== i);
+        while (duplicate !== -1) {
+            const cells = [];
+            for (let i = 0; i < columns.length; i++) {
+                cells.push(i < duplicate ? [i * 2, '|'] : [i * 2 - 1, '/']);
+            }
+            lines.push(connector(cells));
+            columns.splice(duplicate, 1);
+            duplicate = columns.findIndex((waitingFor, i) => columns.indexOf(waitingFor) !== i);
+        }
+    });
+    
+    return lines;
+}
+
+async function executeGitDiff(args) {
+    const parsed = parseGitOptions('diff', args);
+    if (!parsed) return;
+    const { options, operands } = parsed;
+    const separator = operands.indexOf('--');
+    const words = separator === -1 ? operands : operands.slice(0, separator);
+    const paths = separator === -1 ? [] : operands.slice(separator + 1);
+    const staged = Boolean(options.staged || options.cached);
+    const stat = Boolean(options.stat);
+    
+    // Words before `--` are revisions (or a..b), then paths
+    const revisions = [];
+    for (const arg of words) {
+        const range = arg.includes('..') ? arg.split('..') : [arg];
+        const resolved = range.map(part => resolveRevision(part || 'HEAD'));
+        if (resolved.every(Boolean)) {
+            revisions.push(...resolved);
+        } else if (arg in simulatorState.workingTree || arg in simulatorState.index) {
+            paths.push(arg);
+        } else {
+            appendToOutput(`fatal: ambiguous argument '${arg}': unknown revision or path not in the working tree.`, 'error');
+            return;
+        }
+    }
+    
+    // Pick the two sides being compared, each as path -> content
+    const blobContents = files => Object.fromEntries(Object.keys(files).map(path => [path, readObject(files[path]).content]));
+    const { index, workingTree, unmerged } = simulatorState;
+    let oldSide;
+    let newSide;
+    if (revisions.length >= 2) {
+        oldSide = blobContents(getCommitFiles(revisions[0]));
+        newSide = blobContents(getCommitFiles(revisions[1]));
+    } else if (revisions.length === 1) {
+        oldSide = blobContents(getCommitFiles(revisions[0]));
+        newSide = staged ? blobContents(index) : trackedWorkingFiles(oldSide);
+    } else if (staged) {
+        oldSide = blobContents(getCommitFiles(getHeadCommit()));
+        newSide = blobContents(index);
+    } else {
+        oldSide = blobContents(index);
+        newSide = trackedWorkingFiles(oldSide);
+    }
+    
+    const selected = path => paths.length === 0 || paths.some(pathspec => pathspecMatches(pathspec, path));
+    const changedPaths = [...new Set([...Object.keys(oldSide), ...Object.keys(newSide)])]
+        .filter(path => oldSide[path] !== newSide[path] && selected(path))
+        .sort();
+    
+    if (!staged && revisions.length === 0) {
+        Object.keys(unmerged).filter(selected).sort().forEach(path => appendToOutput(`* Unmerged path ${path}`, 'output'));
+    }
+    if (changedPaths.length === 0) return;
+    
+    if (stat) {
+        const entries = changedPaths.map(path => ({ path, ...countLineChanges(oldSide[path], newSide[path]) }));
+        appendToOutput(formatDiffStat(entries).join('\n'), 'output');
+    } else {
+        for (const path of changedPaths) {
+            const patch = await buildFilePatch(path, oldSide[path], newSide[path]);
+            patch.forEach(line => appendToOutput(line, diffLineType(line)));
+        }
+    }
+    updateStatus(`Showing changes in ${changedPaths.length} file${changedPaths.length !== 1 ? 's' : ''}`);
+}
+
+// Working tree contents of the files tracked on the other side of a diff
+// (`git diff` ignores untracked files)
+function trackedWorkingFiles(trackedSide) {
+    const files = {};
+    Object.keys(simulatorState.workingTree).forEach(path => {
+        if (path in trackedSide || path in simulatorState.index) {
+            files[path] = simulatorState.workingTree[path];
+        }
+    });
+    return files;
+}
+
+function diffLineType(line) {
+    if (line.startsWith('@@')) return 'diff-hunk';
+    if (line.startsWith('+') && !line.startsWith('+++')) return 'diff-add';
+    if (line.startsWith('-') && !line.startsWith('---')) return 'diff-remove';
+    if (line.startsWith('diff --git') || /^(index|---|\+\+\+|new file|deleted file) /.test(line)) return 'diff-header';
+    return 'output';
+}
+
+// ============================================
+// SIMULATOR GIT OBJECT STORE
+// ============================================
+
+const gitTextEncoder = new TextEncoder();
+
+// Hash an object the way Git does ("<type> <size>\0<body>"), so IDs match `git hash-object`
+async function hashObject(object) {
+    const body = serializeGitObject(object);
+    const header = gitTextEncoder.encode(`${object.type} ${body.length}\0`);
+    return sha1Hex(concatBytes([header, body]));
+}
+
+async function writeObject(object) {
+    const hash = await hashObject(object);
+    simulatorState.objects[hash] = object;
+    return hash;
+}
+
+function readObject(hash) {
+    const object = simulatorState.objects[hash];
+    if (!object) {
+        throw new Error(`bad object ${hash}`);
+    }
+    return object;
+}
+
+function serializeGitObject(object) {
+    switch (object.type) {
+        case 'blob':
+            return gitTextEncoder.encode(object.content);
+        case 'tree':
+            // Tree entries hold the raw 20-byte SHA-1, not its hex form
+            return concatBytes(object.entries.map(entry => concatBytes([
+                gitTextEncoder.encode(`${entry.mode} ${entry.name}\0`),
+                hexToBytes(entry.hash)
+            ])));
+        case 'commit': {
+            let text = `tree ${object.tree}\n`;
+            object.parents.forEach(parent => {
+                text += `parent ${parent}\n`;
+            });
+            text += `author ${formatSignature(object.author)}\n`;
+            text += `committer ${formatSignature(object.committer)}\n`;
+            text += `\n${object.message}\n`;
+            return gitTextEncoder.encode(text);
+        }
+        case 'tag': {
+            let text = `object ${object.object}\ntype ${object.objectType}\ntag ${object.tag}\n`;
+            text += `tagger ${formatSignature(object.tagger)}\n`;
+            text += `\n${object.message}\n`;
+            return gitTextEncoder.encode(text);
+        }
+        default:
+            throw new Error(`unknown object type ${object.type}`);
+    }
+}
+
+async function sha1Hex(bytes) {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('SHA-1 hashing needs WebCrypto - open the tutorial over https or from localhost');
+    }
+    const digest = await window.crypto.subtle.digest('SHA-1', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function concatBytes(chunks) {
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function formatSignature(signature) {
+    return `${signature.name} <${signature.email}> ${signature.timestamp} ${signature.timezone}`;
+}
+
+function createSignature(date = new Date()) {
+    const offset = -date.getTimezoneOffset();
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    return {
+        name: getConfigValue('user.name'),
+        email: getConfigValue('user.email'),
+        timestamp: Math.floor(date.getTime() / 1000),
+        timezone: `${offset < 0 ? '-' : '+'}${hours}${minutes}`
+    };
+}
+
+// Rewritten commits (rebase, cherry-pick) keep their original author
+async function createCommit(tree, parents, message, author = null) {
+    const signature = createSignature();
+    return writeObject({ type: 'commit', tree, parents, author: author || signature, committer: { ...signature }, message });
+}
+
+// Write a flat path -> blob map as nested tree objects, returning the root tree
+async function writeTree(files) {
+    const entries = [];
+    const directories = {};
+    
+    Object.keys(files).forEach(path => {
+        const slash = path.indexOf('/');
+        if (slash === -1) {
+            entries.push({ mode: '100644', name: path, hash: files[path] });
+        } else {
+            const directory = path.slice(0, slash);
+            directories[directory] = directories[directory] || {};
+            directories[directory][path.slice(slash + 1)] = files[path];
+        }
+    });
+    
+    for (const directory of Object.keys(directories)) {
+        entries.push({ mode: '40000', name: directory, hash: await writeTree(directories[directory]) });
+    }
+    
+    // Git sorts directories as if their name ended in '/'
+    const sortKey = entry => entry.mode === '40000' ? `${entry.name}/` : entry.name;
+    entries.sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0));
+    
+    return writeObject({ type: 'tree', entries });
+}
+
+// Flatten a tree back into a path -> blob map
+function readTree(treeHash, prefix = '') {
+    const files = {};
+    readObject(treeHash).entries.forEach(entry => {
+        if (entry.mode === '40000') {
+            Object.assign(files, readTree(entry.hash, `${prefix}${entry.name}/`));
+        } else {
+            files[`${prefix}${entry.name}`] = entry.hash;
+        }
+    });
+    return files;
+}
+
+function getCommitFiles(commitHash) {
+    return commitHash ? readTree(readObject(commitHash).tree) : {};
+}
+
+function shortHash(hash) {
+    return hash ? hash.slice(0, 7) : '';
+}
+
+// ---- Configuration (git config) ----
+
+// --global settings belong to the learner, not to one practice repository, so
+// they are kept in their own localStorage entry and survive resets and exercises
+const globalConfigStorageKey = 'github-tutorial-git-config';
+
+let globalGitConfig = loadGlobalGitConfig();
+
+function loadGlobalGitConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(globalConfigStorageKey)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveGlobalGitConfig() {
+    try {
+        localStorage.setItem(globalConfigStorageKey, JSON.stringify(globalGitConfig));
+    } catch (error) {
+        // The settings still apply for this visit without storage
+    }
+}
+
+// Scopes in the order Git reads them; a later scope overrides an earlier one
+function getConfigScopes() {
+    return { global: globalGitConfig, local: simulatorState.config };
+}
+
+// Section and variable names are case-insensitive, so keys are stored
+// lowercased; a middle subsection (remote.origin.url) keeps its case
+function normalizeConfigKey(key) {
+    const first = key.indexOf('.');
+    const last = key.lastIndexOf('.');
+    return `${key.slice(0, first).toLowerCase()}${key.slice(first, last + 1)}${key.slice(last + 1).toLowerCase()}`;
+}
+
+function validateConfigKey(key) {
+    const last = key.lastIndexOf('.');
+    if (last <= 0) return `error: key does not contain a section: ${key}`;
+    if (last === key.length - 1) return `error: key does not contain variable name: ${key}`;
+    const first = key.indexOf('.');
+    if (!/^[A-Za-z0-9-]+$/.test(key.slice(0, first)) || !/^[A-Za-z][A-Za-z0-9-]*$/.test(key.slice(last + 1))) {
+        return `error: invalid key: ${key}`;
+    }
+    return null;
+}
+
+function getConfigValue(key) {
+    const name = normalizeConfigKey(key);
+    const scopes = getConfigScopes();
+    return [scopes.local[name], scopes.global[name]].find(value => value !== undefined);
+}
+
+function getAliasNames() {
+    const scopes = getConfigScopes();
+    return [...new Set([...Object.keys(scopes.global), ...Object.keys(scopes.local)])]
+        .filter(key => key.startsWith('alias.'))
+        .map(key => key.slice('alias.'.length));
+}
+
+function executeGitConfig(args) {
+    const parsed = parseGitOptions('config', args);
+    if (!parsed) return;
+    const { options } = parsed;
+    const operands = parsed.operands.filter(arg => arg !== '--');
+    
+    if (options.global && options.local) {
+        appendToOutput('error: only one config file at a time', 'error');
+        return;
+    }
+    const scope = options.global ? 'global' : options.local ? 'local' : null;
+    const scopes = getConfigScopes();
+    
+    if (options.list) {
+        if (operands.length > 0) {
+            appendToOutput('error: wrong number of arguments, should be 0', 'error');
+            return;
+        }
+        const lines = (scope ? [scope] : Object.keys(scopes)).flatMap(name =>
+            Object.keys(scopes[name]).map(key => `${options['show-scope'] ? `${name}\t` : ''}${key}=${scopes[name][key]}`));
+        if (lines.length > 0) appendToOutput(lines.join('\n'), 'output');
+        updateStatus(`${lines.length} setting${lines.length !== 1 ? 's' : ''} configured`);
+        return;
+    }
+    if (operands.length === 0) {
+        appendToOutput('error: no action specified', 'error');
+        appendToOutput(`usage: ${gitCommandSpecs.config.usage}`, 'error');
+        return;
+    }
+    const keyError = validateConfigKey(operands[0]);
+    if (keyError) {
+        appendToOutput(keyError, 'error');
+        return;
+    }
+    const key = normalizeConfigKey(operands[0]);
+    const store = scopes[scope || 'local'];
+    
+    if (options.unset) {
+        if (operands.length !== 1) {
+            appendToOutput('error: wrong number of arguments, should be 1', 'error');
+            return;
+        }
+        // Unsetting a key that isn't there is silent, as in Git
+        if (key in store) {
+            delete store[key];
+            if (store === globalGitConfig) saveGlobalGitConfig();
+            updateStatus(`Removed ${key} from the ${scope || 'local'} config`);
+        }
+        return;
+    }
+    if (operands.length === 1) {
+        const value = scope ? store[key] : getConfigValue(key);
+        if (value !== undefined) appendToOutput(value, 'output');
+        updateStatus(value !== undefined ? `${key} is set` : `${key} is not set`);
+        return;
+    }
+    if (operands.length > 2) {
+        appendToOutput('error: wrong number of arguments, should be from 1 to 2', 'error');
+        return;
+    }
+    
+    store[key] = operands[1];
+    if (store === globalGitConfig) saveGlobalGitConfig();
+    updateStatus(`Set ${key} in the ${scope || 'local'} config`);
+    recordTutorialEvent('config', { identity: Boolean(getConfigValue('user.name') && getConfigValue('user.email')) });
+}
+
+// Branch a brand-new repository starts on
+function getDefaultBranchName() {
+    return getConfigValue('init.defaultBranch') || 'master';
+}
+
+// What `git init` prints, including Git's nudge to pick a default branch name
+// when neither -b nor init.defaultBranch chose one
+function reportRepositoryInitialized(directory, branchChosen = false) {
+    if (!branchChosen && getConfigValue('init.defaultBranch') === undefined) {
+        appendToOutput([
+            "hint: Using 'master' as the name for the initial branch. This default branch name",
+            'hint: is subject to change. To configure the initial branch name to use in all',
+            'hint: of your new repositories, which will suppress this warning, call:',
+            'hint:',
+            'hint: \tgit config --global init.defaultBranch <name>'
+        ].join('\n'), 'output');
+    }
+    appendToOutput(`Initialized empty Git repository in ${directory}/.git/`, 'output');
+}
+
+// Replace an alias with what it stands for; built-in commands always win
+function expandGitAlias(parts) {
+    const seen = [];
+    let expanded = parts;
+    while (expanded[1] && !gitCommandSpecs[expanded[1]] && getConfigValue(`alias.${expanded[1]}`) !== undefined) {
+        const name = expanded[1];
+        const value = getConfigValue(`alias.${name}`);
+        if (seen.includes(name)) {
+            appendToOutput(`fatal: alias loop detected: expansion of '${seen[0]}' does not terminate:`, 'error');
+            appendToOutput(seen.map((alias, i) => `  ${alias}${alias === name ? ' <==' : ''}${i === seen.length - 1 ? ' ==>' : ''}`).join('\n'), 'error');
+            return null;
+        }
+        if (value.startsWith('!')) {
+            appendToOutput(`fatal: alias '${name}' runs a shell command, which the simulator can't do`, 'error');
+            return null;
+        }
+        const words = tokenizeCommand(value);
+        if (!words || words.length === 0) {
+            appendToOutput(`fatal: bad alias.${name} string: ${value ? 'unclosed quote' : 'empty'}`, 'error');
+            return null;
+        }
+        seen.push(name);
+        expanded = ['git', ...words, ...expanded.slice(2)];
+    }
+    return expanded;
+}
+
+// Git refuses to record a commit or an annotated tag without knowing who made it
+function requireIdentity() {
+    const name = getConfigValue('user.name');
+    const email = getConfigValue('user.email');
+    if (name && email) return true;
+    
+    appendToOutput([
+        'Author identity unknown',
+        '',
+        '*** Please tell me who you are.',
+        '',
+        'Run',
+        '',
+        '  git config --global user.email "you@example.com"',
+        '  git config --global user.name "Your Name"',
+        '',
+        "to set your account's default identity.",
+        'Omit --global to set the identity only in this repository.',
+        ''
+    ].join('\n'), 'error');
+    appendToOutput(email
+        ? `fatal: empty ident name (for <${email}>) not allowed`
+        : "fatal: unable to auto-detect email address (got 'learner@training-pc.(none)')", 'error');
+    return false;
+}
+
+// ---- Refs and HEAD ----
+
+function currentBranchName() {
+    const head = simulatorState.HEAD;
+    return head && head.startsWith('ref: refs/heads/') ? head.slice('ref: refs/heads/'.length) : null;
+}
+
+function getHeadCommit() {
+    const head = simulatorState.HEAD;
+    if (!head) return null;
+    return head.startsWith('ref: ') ? simulatorState.refs[head.slice(5)] || null : head;
+}
+
+// Move the current branch (or a detached HEAD) to a new commit
+function updateHead(hash) {
+    const head = simulatorState.HEAD;
+    if (head.startsWith('ref: ')) {
+        simulatorState.refs[head.slice(5)] = hash;
+    } else {
+        simulatorState.HEAD = hash;
+    }
+}
+
+function getBranchNames() {
+    return Object.keys(simulatorState.refs)
+        .filter(ref => ref.startsWith('refs/heads/'))
+        .map(ref => ref.slice('refs/heads/'.length))
+        .sort();
+}
+
+function getTagNames() {
+    return Object.keys(simulatorState.refs)
+        .filter(ref => ref.startsWith('refs/tags/'))
+        .map(ref => ref.slice('refs/tags/'.length))
+        .sort();
+}
+
+// An annotated tag ref points at a tag object; anything walking history wants the commit behind it
+function peelToCommit(hash) {
+    const { objects } = simulatorState;
+    while (hash && objects[hash] && objects[hash].type === 'tag') {
+        hash = objects[hash].object;
+    }
+    return hash;
+}
+
+// The tag object behind a tag name, or null for a lightweight tag or any other revision
+function resolveTagObject(name) {
+    const hash = simulatorState.refs[name.startsWith('refs/tags/') ? name : `refs/tags/${name}`];
+    return hash && readObject(hash).type === 'tag' ? readObject(hash) : null;
+}
+
+// Simplified `git check-ref-format --branch`
+function isValidBranchName(name) {
+    return Boolean(name) &&
+        !name.startsWith('-') &&
+        !name.startsWith('/') &&
+        !name.endsWith('/') &&
+        !name.endsWith('.') &&
+        !name.endsWith('.lock') &&
+        !name.includes('..') &&
+        !name.includes('//') &&
+        !name.includes('@{') &&
+        name !== 'HEAD' &&
+        !/[\s~^:?*[\\\x00-\x1f\x7f]/.test(name);
+}
+
+// Resolve a revision - HEAD, a branch, origin/<branch>, a full ref or an
+// abbreviated hash, optionally followed by ~N / ^N - to a commit hash
+function resolveRevision(revision) {
+    const match = /^(.*?)((?:[~^]\d*)*)$/.exec(revision);
+    let hash = resolveRefName(match[1]);
+    
+    const suffixes = match[2].match(/[~^]\d*/g) || [];
+    for (const suffix of suffixes) {
+        if (!hash) return null;
+        const count = suffix.length > 1 ? parseInt(suffix.slice(1), 10) : 1;
+        if (suffix[0] === '~') {
+            for (let i = 0; i < count && hash; i++) {
+                hash = readObject(hash).parents[0] || null;
+            }
+        } else {
+            hash = count === 0 ? hash : readObject(hash).parents[count - 1] || null;
+        }
+    }
+    return hash;
+}
+
+function resolveRefName(name) {
+    const { refs, objects } = simulatorState;
+    if (name === 'HEAD' || name === '@') return getHeadCommit();
+    
+    if (['@{u}', '@{upstream}'].includes(name)) {
+        const upstreamRef = getUpstreamRef(currentBranchName());
+        return upstreamRef ? simulatorState.refs[upstreamRef] || null : null;
+    }
+    
+    const stashEntry = /^stash(?:@\{(\d+)\})?$/.exec(name);
+    if (stashEntry) return simulatorState.stash[Number(stashEntry[1] || 0)] || null;
+    
+    for (const ref of [name, `refs/tags/${name}`, `refs/heads/${name}`, `refs/remotes/${name}`]) {
+        if (refs[ref]) return peelToCommit(refs[ref]);
+    }
+    
+    if (/^[0-9a-f]{4,40}$/.test(name)) {
+        const matches = Object.keys(objects).filter(hash => hash.startsWith(name) && objects[hash].type === 'commit');
+        if (matches.length === 1) return matches[0];
+    }
+    return null;
+}
+
+// Is `ancestor` reachable from `descendant` by following parents?
+function isAncestor(ancestor, descendant) {
+    const queue = descendant ? [descendant] : [];
+    const seen = new Set();
+    while (queue.length > 0) {
+        const hash = queue.shift();
+        if (hash === ancestor) return true;
+        if (seen.has(hash)) continue;
+        seen.add(hash);
+        queue.push(...readObject(hash).parents);
+    }
+    return false;
+}
+
+// Best common ancestor: a common ancestor that no other common ancestor descends from
+function findMergeBase(a, b) {
+    const ancestorsOfA = new Set(collectCommits(a, null));
+    const candidates = collectCommits(b, null).filter(hash => ancestorsOfA.has(hash));
+    return candidates.find(candidate =>
+        !candidates.some(other => other !== candidate && isAncestor(candidate, other))
+    ) || null;
+}
+
+// Commits reachable from `from` but not from `exclude`, newest first
+// (children always before their parents)
+function collectCommits(from, exclude) {
+    const excluded = new Set(exclude ? collectCommits(exclude, null) : []);
+    const result = [];
+    const seen = new Set();
+    const queue = from ? [from] : [];
+    while (queue.length > 0) {
+        const hash = queue.shift();
+        if (seen.has(hash) || excluded.has(hash)) continue;
+        seen.add(hash);
+        result.push(hash);
+        queue.push(...readObject(hash).parents);
+    }
+    return orderCommits(result);
+}
+
+// Topological order with newest commits first, like `git log --topo-order`
+function orderCommits(hashes) {
+    const included = new Set(hashes);
+    const childCounts = new Map(hashes.map(hash => [hash, 0]));
+    hashes.forEach(hash => {
+        readObject(hash).parents.forEach(parent => {
+            if (included.has(parent)) childCounts.set(parent, childCounts.get(parent) + 1);
+        });
+    });
+    
+    const timestamp = hash => readObject(hash).committer.timestamp;
+    const ready = hashes.filter(hash => childCounts.get(hash) === 0);
+    const ordered = [];
+    while (ready.length > 0) {
+        ready.sort((a, b) => timestamp(b) - timestamp(a));
+        const hash = ready.shift();
+        ordered.push(hash);
+        readObject(hash).parents.forEach(parent => {
+            if (!included.has(parent)) return;
+            childCounts.set(parent, childCounts.get(parent) - 1);
+            if (childCounts.get(parent) === 0) ready.push(parent);
+        });
+    }
+    return ordered;
+}
+
+// ---- Index and working tree ----
+
+// Staging a conflicted path is how a conflict is marked resolved
+async function stagePath(path) {
+    if (path in simulatorState.unmerged) {
+        delete simulatorState.unmerged[path];
+        if (Object.keys(simulatorState.unmerged).length === 0) recordTutorialEvent('resolve');
+    }
+    if (path in simulatorState.workingTree) {
+        simulatorState.index[path] = await writeObject({ type: 'blob', content: simulatorState.workingTree[path] });
+    } else {
+        delete simulatorState.index[path];
+    }
+}
+
+function unstagePath(path) {
+    const headFiles = getCommitFiles(getHeadCommit());
+    if (path in headFiles) {
+        simulatorState.index[path] = headFiles[path];
+    } else {
+        delete simulatorState.index[path];
+    }
+}
+
+// Pathspecs are relative to the terminal's current directory
+function pathspecMatches(pathspec, path) {
+    const resolved = resolveShellPath(pathspec);
+    if (resolved === null) return false;
+    return resolved === '' || path === resolved || path.startsWith(`${resolved}/`);
+}
+
+// Compare two path -> blob maps
+function diffFileMaps(oldFiles, newFiles) {
+    const paths = [...new Set([...Object.keys(oldFiles), ...Object.keys(newFiles)])].sort();
+    return paths
+        .filter(path => oldFiles[path] !== newFiles[path])
+        .map(path => ({
+            path,
+            change: !(path in oldFiles) ? 'new' : !(path in newFiles) ? 'deleted' : 'modified'
+        }));
+}
+
+// HEAD vs index is "staged", index vs working tree is "unstaged";
+// conflicted paths are reported on their own as "unmerged"
+function getRepoStatus() {
+    const { index, workingTree, unmerged } = simulatorState;
+    const staged = diffFileMaps(getCommitFiles(getHeadCommit()), index).filter(file => !(file.path in unmerged));
+    const unstaged = [];
+    
+    Object.keys(index).sort().forEach(path => {
+        if (path in unmerged) {
+            return;
+        } else if (!(path in workingTree)) {
+            unstaged.push({ path, change: 'deleted' });
+        } else if (readObject(index[path]).content !== workingTree[path]) {
+            unstaged.push({ path, change: 'modified' });
+        }
+    });
+    
+    // Ignore rules only hide files Git isn't tracking yet
+    const rules = getIgnoreRules();
+    const notTracked = Object.keys(workingTree).filter(path => !(path in index) && !(path in unmerged)).sort();
+    const ignored = notTracked.filter(path => isIgnored(path, false, rules));
+    const untracked = notTracked.filter(path => !ignored.includes(path));
+    
+    const conflictNames = stages => !stages.ours ? 'deleted by us'
+        : !stages.theirs ? 'deleted by them'
+        : !stages.base ? 'both added'
+        : 'both modified';
+    const conflicted = Object.keys(unmerged).sort().map(path => ({ path, change: conflictNames(unmerged[path]) }));
+    
+    return { staged, unstaged, untracked, ignored, unmerged: conflicted };
+}
+
+// ---- Ignore rules (.gitignore) ----
+
+// Every .gitignore in the working tree, shallowest first, so that rules
+// from a deeper file are checked later and win over its parents' rules
+function getIgnoreRules() {
+    const { workingTree } = simulatorState;
+    return Object.keys(workingTree)
+        .filter(path => path === '.gitignore' || path.endsWith('/.gitignore'))
+        .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+        .flatMap(source => parseIgnoreFile(workingTree[source], source));
+}
+
+function parseIgnoreFile(content, source) {
+    const base = source.slice(0, -'.gitignore'.length);
+    return content.split('\n')
+        .map((line, i) => compileIgnorePattern(line, { source, base, lineNumber: i + 1 }))
+        .filter(Boolean);
+}
+
+// Turn one .gitignore line into a rule, or null for blanks and comments
+function compileIgnorePattern(line, origin) {
+    // Trailing spaces are dropped unless escaped with a backslash
+    const text = line.replace(/\r$/, '').replace(/(^|[^\\])( +)$/, '$1');
+    if (!text || text.startsWith('#')) return null;
+    
+    let pattern = text;
+    const negate = pattern.startsWith('!');
+    if (negate) {
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
+    }
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) return null;
+    
+    // A slash at the start or in the middle ties the pattern to the .gitignore's
+    // own folder; without one it matches a name at any depth below it
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const segmentStart = i === 0 || pattern[i - 1] === '/';
+        if (char === '*' && pattern[i + 1] === '*' && segmentStart && (i + 2 === pattern.length || pattern[i + 2] === '/')) {
+            if (i + 2 === pattern.length) {
+                // "dir/**" matches everything inside dir
+                regex += '.+';
+                i += 1;
+            } else {
+                // "**/" matches zero or more folders
+                regex += '(?:.+/)?';
+                i += 2;
+            }
+        } else if (char === '*') {
+            regex += '[^/]*';
+            while (pattern[i + 1] === '*') i++;
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+            const end = pattern.indexOf(']', i + 2);
+            let set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+            if (set.startsWith('!')) set = `^${set.slice(1)}`;
+            regex += `[${set}]`;
+            i = end;
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            regex += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else {
+            regex += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    
+    return {
+        ...origin,
+        text,
+        negate,
+        dirOnly,
+        regex: new RegExp(`^${anchored ? '' : '(?:.+/)?'}${regex}$`)
+    };
+}
+
+// The last rule that matches wins, whether it ignores or re-includes
+function findLastIgnoreMatch(rules, path, isDirectory) {
+    let match = null;
+    rules.forEach(rule => {
+        if (!path.startsWith(rule.base) || (rule.dirOnly && !isDirectory)) return;
+        if (rule.regex.test(path.slice(rule.base.length))) match = rule;
+    });
+    return match;
+}
+
+// Which rule decides `path`, and whether it matched the path itself or one of
+// its folders. Git never looks inside an ignored folder, so a file under one
+// stays ignored even if a later "!" rule names it.
+function matchIgnoreRules(path, isDirectory = false, rules = getIgnoreRules()) {
+    const segments = path.split('/');
+    for (let depth = 1; depth < segments.length; depth++) {
+        const folder = segments.slice(0, depth).join('/');
+        const rule = findLastIgnoreMatch(rules, folder, true);
+        if (rule && !rule.negate) return { rule, path: `${folder}/` };
+    }
+    const rule = findLastIgnoreMatch(rules, path, isDirectory);
+    return rule ? { rule, path: isDirectory ? `${path}/` : path } : null;
+}
+
+function isIgnored(path, isDirectory = false, rules = getIgnoreRules()) {
+    const match = matchIgnoreRules(path, isDirectory, rules);
+    return Boolean(match) && !match.rule.negate;
+}
+
+function isWorkingTreeFolder(path) {
+    return Object.keys(simulatorState.workingTree).some(file => file.startsWith(`${path}/`));
+}
+
+function executeGitCheckIgnore(args) {
+    const parsed = parseGitOptions('check-ignore', args);
+    if (!parsed) return;
+    const { verbose } = parsed.options;
+    const nonMatching = parsed.options['non-matching'];
+    const paths = parsed.operands.filter(arg => arg !== '--');
+    
+    if (paths.length === 0) {
+        appendToOutput('fatal: no path specified', 'error');
+        return;
+    }
+    if (nonMatching && !verbose) {
+        appendToOutput('fatal: --non-matching is only valid with --verbose', 'error');
+        return;
+    }
+    
+    const outside = paths.find(path => resolveShellPath(path) === null);
+    if (outside !== undefined) {
+        appendToOutput(`fatal: ${outside}: '${outside}' is outside repository at '${getRepoRoot()}'`, 'error');
+        return;
+    }
+    
+    const rules = getIgnoreRules();
+    const lines = [];
+    let ignoredCount = 0;
+    paths.forEach(path => {
+        const name = resolveShellPath(path);
+        // Tracked files are never ignored, unless asked to look past the index
+        const tracked = name in simulatorState.index && !parsed.options['no-index'];
+        const isDirectory = path.endsWith('/') || (!(name in simulatorState.workingTree) && isWorkingTreeFolder(name));
+        const match = tracked ? null : matchIgnoreRules(name, isDirectory, rules);
+        
+        // -v also reports a "!" rule, since that is the rule that decided the path
+        if (match && !match.rule.negate) ignoredCount++;
+        if (match && (verbose || !match.rule.negate)) {
+            lines.push(verbose ? `${match.rule.source}:${match.rule.lineNumber}:${match.rule.text}\t${path}` : path);
+        } else if (nonMatching) {
+            lines.push(`::\t${path}`);
+        }
+    });
+    
+    if (lines.length > 0) appendToOutput(lines.join('\n'), 'output');
+    updateStatus(ignoredCount > 0 ? `${ignoredCount} of ${paths.length} path(s) ignored` : 'No ignore rule excludes these paths');
+}
+
+// ---- Line diffs and three-way merging ----
+
+const conflictMarkers = { ours: '<<<<<<<', separator: '=======', theirs: '>>>>>>>' };
+
+// Longest-common-subsequence diff of two line arrays, as a list of
+// { type: 'equal' | 'delete' | 'insert', line } operations
+function diffLines(oldLines, newLines) {
+    const rows = oldLines.length;
+    const cols = newLines.length;
+    const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (oldLines[i] === newLines[j]) {
+            ops.push({ type: 'equal', line: oldLines[i++] });
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            ops.push({ type: 'delete', line: oldLines[i++] });
+        } else {
+            ops.push({ type: 'insert', line: newLines[j++] });
+        }
+    }
+    while (i < rows) ops.push({ type: 'delete', line: oldLines[i++] });
+    while (j < cols) ops.push({ type: 'insert', line: newLines[j++] });
+    return ops;
+}
+
+// Group a line diff into hunks: base lines [baseStart, baseEnd) are replaced
+// by other lines [otherStart, otherEnd)
+function diffHunks(baseLines, otherLines) {
+    const hunks = [];
+    let baseIndex = 0;
+    let otherIndex = 0;
+    let current = null;
+    
+    diffLines(baseLines, otherLines).forEach(op => {
+        if (op.type === 'equal') {
+            current = null;
+            baseIndex++;
+            otherIndex++;
+            return;
+        }
+        if (!current) {
+            current = { baseStart: baseIndex, baseEnd: baseIndex, otherStart: otherIndex, otherEnd: otherIndex };
+            hunks.push(current);
+        }
+        if (op.type === 'delete') {
+            current.baseEnd = ++baseIndex;
+        } else {
+            current.otherEnd = ++otherIndex;
+        }
+    });
+    return hunks;
+}
+
+// diff3-style merge of two edited versions of a text against their common base.
+// Returns the merged lines as regions: { lines } for clean regions and
+// { conflict: { ours, base, theirs } } where both sides changed the same lines.
+function mergeLines(baseLines, ourLines, theirLines) {
+    const hunks = [
+        ...diffHunks(baseLines, ourLines).map(hunk => ({ ...hunk, side: 'ours' })),
+        ...diffHunks(baseLines, theirLines).map(hunk => ({ ...hunk, side: 'theirs' }))
+    ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+    
+    const sideLines = { ours: ourLines, theirs: theirLines };
+    const regions = [];
+    let basePosition = 0;
+    let i = 0;
+    
+    while (i < hunks.length) {
+        // Overlapping or touching hunks from either side form one region
+        const group = [hunks[i]];
+        const regionStart = hunks[i].baseStart;
+        let regionEnd = hunks[i].baseEnd;
+        i++;
+        while (i < hunks.length && hunks[i].baseStart <= regionEnd) {
+            regionEnd = Math.max(regionEnd, hunks[i].baseEnd);
+            group.push(hunks[i]);
+            i++;
+        }
+        
+        if (basePosition < regionStart) {
+            regions.push({ lines: baseLines.slice(basePosition, regionStart) });
+        }
+        
+        const versions = {};
+        ['ours', 'theirs'].forEach(side => {
+            const sideHunks = group.filter(hunk => hunk.side === side);
+            if (sideHunks.length === 0) return;
+            const first = sideHunks[0];
+            const last = sideHunks[sideHunks.length - 1];
+            versions[side] = sideLines[side].slice(
+                first.otherStart - (first.baseStart - regionStart),
+                last.otherEnd + (regionEnd - last.baseEnd)
+            );
+        });
+        
+        if (!versions.theirs) {
+            regions.push({ lines: versions.ours });
+        } else if (!versions.ours || versions.ours.join('\n') === versions.theirs.join('\n')) {
+            regions.push({ lines: versions.theirs });
+        } else {
+            regions.push({
+                conflict: {
+                    ours: versions.ours,
+                    base: baseLines.slice(regionStart, regionEnd),
+                    theirs: versions.theirs
+                }
+            });
+        }
+        basePosition = regionEnd;
+    }
+    
+    if (basePosition < baseLines.length) {
+        regions.push({ lines: baseLines.slice(basePosition) });
+    }
+    return regions;
+}
+
+// Join merged lines from toDiffLines back into content. Inside a conflict
+// every line ends in a newline, since a marker always follows it.
+function joinMergedLines(lines, terminated = false) {
+    return lines.map(line => line.endsWith('\0')
+        ? `${line.slice(0, -1)}${terminated ? '\n' : ''}`
+        : `${line}\n`).join('');
+}
+
+function renderConflictMarkers(regions, labels) {
+    return regions.map(region => region.lines ? joinMergedLines(region.lines) : joinMergedLines([
+        `${conflictMarkers.ours} ${labels.ours}`,
+        ...region.conflict.ours,
+        conflictMarkers.separator,
+        ...region.conflict.theirs,
+        `${conflictMarkers.theirs} ${labels.theirs}`
+    ], true)).join('');
+}
+
+// Find the conflict blocks still marked up in a file's content
+function parseConflictBlocks(content) {
+    const blocks = [];
+    let current = null;
+    content.split('\n').forEach((line, lineNumber) => {
+        if (line.startsWith(`${conflictMarkers.ours} `) || line === conflictMarkers.ours) {
+            current = { start: lineNumber, ours: [], theirs: [], side: 'ours', theirsLabel: '' };
+        } else if (current && line === conflictMarkers.separator) {
+            current.side = 'theirs';
+        } else if (current && line.startsWith(conflictMarkers.theirs)) {
+            current.end = lineNumber;
+            current.theirsLabel = line.slice(conflictMarkers.theirs.length).trim();
+            blocks.push(current);
+            current = null;
+        } else if (current) {
+            current[current.side].push(line);
+        }
+    });
+    return blocks;
+}
+
+// Three-way merge of whole snapshots (path -> blob maps). Returns the cleanly
+// merged files, the paths that needed a line-level merge, and the conflicts
+// with their three versions and the marker-annotated content to leave on disk.
+async function mergeTrees(baseFiles, ourFiles, theirFiles, labels) {
+    const files = {};
+    const autoMerged = [];
+    const conflicts = [];
+    const paths = [...new Set([...Object.keys(baseFiles), ...Object.keys(ourFiles), ...Object.keys(theirFiles)])].sort();
+    
+    for (const path of paths) {
+        const base = baseFiles[path];
+        const ours = ourFiles[path];
+        const theirs = theirFiles[path];
+        
+        let result;
+        if (ours === theirs || theirs === base) {
+            result = ours;
+        } else if (ours === base) {
+            result = theirs;
+        } else if (!ours || !theirs) {
+            // Modified on one side, deleted on the other
+            conflicts.push({ path, base, ours, theirs, content: readObject(ours || theirs).content });
+            result = ours;
+        } else {
+            autoMerged.push(path);
+            const regions = mergeLines(
+                base ? toDiffLines(readObject(base).content) : [],
+                toDiffLines(readObject(ours).content),
+                toDiffLines(readObject(theirs).content)
+            );
+            if (regions.some(region => region.conflict)) {
+                conflicts.push({ path, base, ours, theirs, content: renderConflictMarkers(regions, labels) });
+                result = ours;
+            } else {
+                const content = joinMergedLines(regions.flatMap(region => region.lines));
+                result = await writeObject({ type: 'blob', content });
+            }
+        }
+        
+        if (result) {
+            files[path] = result;
+        }
+    }
+    
+    return { files, autoMerged, conflicts };
+}
+
+// ---- Unified diffs ----
+
+// Split content into diff lines. A last line with no newline after it is
+// tagged with \0 so it never matches the same text with a newline - exactly
+// how Git treats it - and is printed with "\ No newline at end of file".
+function toDiffLines(content) {
+    if (!content) return [];
+    const lines = content.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    } else {
+        lines[lines.length - 1] += '\0';
+    }
+    return lines;
+}
+
+// Unified-diff hunks with `context` lines around each change; changes
+// closer than twice the context share a hunk
+function buildHunks(oldLines, newLines, context = 3) {
+    const ops = [];
+    let oldNumber = 0;
+    let newNumber = 0;
+    diffLines(oldLines, newLines).forEach(op => {
+        ops.push({ ...op, oldNumber, newNumber });
+        if (op.type !== 'insert') oldNumber++;
+        if (op.type !== 'delete') newNumber++;
+    });
+    
+    const hunks = [];
+    let current = null;
+    ops.forEach((op, i) => {
+        if (op.type === 'equal') return;
+        const start = Math.max(0, i - context);
+        const end = Math.min(ops.length, i + context + 1);
+        if (current && start <= current.end) {
+            current.end = end;
+        } else {
+            current = { start, end };
+            hunks.push(current);
+        }
+    });
+    
+    return hunks.map(({ start, end }) => {
+        const slice = ops.slice(start, end);
+        const oldCount = slice.filter(op => op.type !== 'insert').length;
+        const newCount = slice.filter(op => op.type !== 'delete').length;
+        const lines = [];
+        slice.forEach(op => {
+            const prefix = op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+';
+            if (op.line.endsWith('\0')) {
+                lines.push(prefix + op.line.slice(0, -1), '\\ No newline at end of file');
+            } else {
+                lines.push(prefix + op.line);
+            }
+        });
+        return {
+            // An empty range is numbered from the line before it, as in Git
+            oldStart: oldCount === 0 ? slice[0].oldNumber : slice[0].oldNumber + 1,
+            oldCount,
+            newStart: newCount === 0 ? slice[0].newNumber : slice[0].newNumber + 1,
+            newCount,
+            lines
+        };
+    });
+}
+
+function formatHunkRange(start, count) {
+    return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+// Full `git diff` patch for one file; a missing side (undefined) is a new or deleted file
+async function buildFilePatch(path, oldContent, newContent) {
+    const blobHash = async content => (content === undefined ? '0000000' : shortHash(await hashObject({ type: 'blob', content })));
+    const lines = [`diff --git a/${path} b/${path}`];
+    
+    if (oldContent === undefined) {
+        lines.push('new file mode 100644', `index 0000000..${await blobHash(newContent)}`);
+    } else if (newContent === undefined) {
+        lines.push('deleted file mode 100644', `index ${await blobHash(oldContent)}..0000000`);
+    } else {
+        lines.push(`index ${await blobHash(oldContent)}..${await blobHash(newContent)} 100644`);
+    }
+    lines.push(oldContent === undefined ? '--- /dev/null' : `--- a/${path}`);
+    lines.push(newContent === undefined ? '+++ /dev/null' : `+++ b/${path}`);
+    
+    buildHunks(toDiffLines(oldContent), toDiffLines(newContent)).forEach(hunk => {
+        lines.push(`@@ -${formatHunkRange(hunk.oldStart, hunk.oldCount)} +${formatHunkRange(hunk.newStart, hunk.newCount)} @@`);
+        lines.push(...hunk.lines);
+    });
+    return lines;
+}
+
+function countLineChanges(oldContent, newContent) {
+    const ops = diffLines(toDiffLines(oldContent), toDiffLines(newContent));
+    return {
+        insertions: ops.filter(op => op.type === 'insert').length,
+        deletions: ops.filter(op => op.type === 'delete').length
+    };
+}
+
+// "N files changed, N insertions(+), N deletions(-)"
+function formatChangeTotals(entries) {
+    const insertions = entries.reduce((total, entry) => total + entry.insertions, 0);
+    const deletions = entries.reduce((total, entry) => total + entry.deletions, 0);
+    let summary = ` ${entries.length} file${entries.length !== 1 ? 's' : ''} changed`;
+    if (insertions > 0) summary += `, ${insertions} insertion${insertions !== 1 ? 's' : ''}(+)`;
+    if (deletions > 0) summary += `, ${deletions} deletion${deletions !== 1 ? 's' : ''}(-)`;
+    return summary;
+}
+
+// `--stat` table: name | count +++---, scaled down for very large changes
+function formatDiffStat(entries) {
+    const maxBarWidth = 40;
+    const nameWidth = Math.max(...entries.map(entry => entry.path.length));
+    const largest = Math.max(...entries.map(entry => entry.insertions + entry.deletions));
+    const countWidth = String(largest).length;
+    const scale = largest > maxBarWidth ? maxBarWidth / largest : 1;
+    
+    const lines = entries.map(entry => {
+        const total = entry.insertions + entry.deletions;
+        const plus = '+'.repeat(Math.round(entry.insertions * scale) || (entry.insertions > 0 ? 1 : 0));
+        const minus = '-'.repeat(Math.round(entry.deletions * scale) || (entry.deletions > 0 ? 1 : 0));
+        return ` ${entry.path.padEnd(nameWidth)} | ${String(total).padStart(countWidth)} ${plus}${minus}`.trimEnd();
+    });
+    lines.push(formatChangeTotals(entries));
+    return lines;
+}
+
+// Utility functions
+function appendToOutput(text, type) {
+    const outputDiv = document.getElementById('commandOutput');
+    const line = document.createElement('div');
+    line.textContent = text;
+    
+    if (type === 'command') {
+        line.style.color = '#ffc220'; // Accent yellow
+        line.style.fontWeight = 'bold';
+    } else if (type === 'error') {
+        line.style.color = '#dc3545';
+        commandErrors.push(text);
+    } else if (type === 'diff-add') {
+        line.style.color = '#3fb950';
+    } else if (type === 'diff-remove') {
+        line.style.color = '#f85149';
+    } else if (type === 'diff-hunk') {
+        line.style.color = '#76c3ec'; // Everyday blue
+    } else if (type === 'diff-header') {
+        line.style.color = '#ffffff';
+        line.style.fontWeight = 'bold';
+    } else {
+        line.style.color = '#a7cced'; // Sky blue
+    }
+    
+    outputDiv.appendChild(line);
+    outputDiv.scrollTop = outputDiv.scrollHeight;
+    
+    terminalScrollback.push({ text, type });
+    if (terminalScrollback.length > maxScrollbackLines) {
+        terminalScrollback.shift();
+        outputDiv.firstChild.remove();
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function fileIcon(path) {
+    return path.endsWith('.md') ? '📋' : '📄';
 }
 
 function updateStatus(message) {
@@ -2562,16 +8054,32 @@ function updateStatus(message) {
 }
 
 function updateSimulatorDisplay() {
+    updateProjectName();
+    updateTerminalPrompt();
     updateWorkingFiles();
     updateStagedFiles();
     updateCommitHistory();
+    updateCommitGraph();
+    updateConflictResolver();
+    updateRebaseEditor();
+    updateFileEditor();
+    checkExerciseProgress();
+    saveSimulatorState();
 }
 
 function updateWorkingFiles() {
     const workingDiv = document.getElementById('workingFiles');
     if (!workingDiv) return;
     
-    if (simulatorState.workingFiles.length === 0) {
+    const status = getRepoStatus();
+    const changedFiles = [
+        ...status.unmerged.map(file => ({ path: file.path, change: 'conflict' })),
+        ...status.unstaged,
+        ...status.untracked.map(path => ({ path, change: 'new' }))
+    ];
+    const statusNames = { new: 'New File', modified: 'Modified', deleted: 'Deleted', conflict: 'Conflict' };
+    
+    if (changedFiles.length === 0) {
         workingDiv.innerHTML = `
             <div class="empty-state">
                 <span class="empty-icon">✅</span>
@@ -2580,11 +8088,11 @@ function updateWorkingFiles() {
             </div>
         `;
     } else {
-        workingDiv.innerHTML = simulatorState.workingFiles.map(file => `
-            <div class="file-item ${file.status}" draggable="true" data-file="${file.name}">
-                <span class="file-icon">${file.icon}</span>
-                <span class="file-name">${file.name}</span>
-                <span class="file-status ${file.status}">${file.status === 'new' ? 'New File' : 'Modified'}</span>
+        workingDiv.innerHTML = changedFiles.map(file => `
+            <div class="file-item ${file.change}" draggable="true" data-file="${escapeHtml(file.path)}">
+                <span class="file-icon">${fileIcon(file.path)}</span>
+                <span class="file-name">${escapeHtml(file.path)}</span>
+                <span class="file-status ${file.change}">${statusNames[file.change]}</span>
             </div>
         `).join('');
         
@@ -2592,86 +8100,701 @@ function updateWorkingFiles() {
         workingDiv.querySelectorAll('.file-item').forEach(file => {
             file.addEventListener('dragstart', handleDragStart);
             file.addEventListener('dragend', handleDragEnd);
+            file.addEventListener('click', () => openWorkingFile(file.dataset.file));
+        });
+    }
+}
+
+function updateStagedFiles() {
+    const stagedDiv = document.getElementById('stagedFiles');
+    if (!stagedDiv) return;
+    
+    const stagedFiles = getRepoStatus().staged;
+    
+    if (stagedFiles.length === 0) {
+        stagedDiv.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">📭</span>
+                <p>Drag files here to stage them</p>
+                <small>or use: <code>git add filename</code></small>
+            </div>
+        `;
+    } else {
+        stagedDiv.innerHTML = stagedFiles.map(file => `
+            <div class="file-item staged" draggable="true" data-file="${escapeHtml(file.path)}">
+                <span class="file-icon">${fileIcon(file.path)}</span>
+                <span class="file-name">${escapeHtml(file.path)}</span>
+                <span class="file-status staged">Staged</span>
+            </div>
+        `).join('');
+        
+        // Re-attach event listeners
+        stagedDiv.querySelectorAll('.file-item').forEach(file => {
+            file.addEventListener('dragstart', handleDragStart);
+            file.addEventListener('dragend', handleDragEnd);
+        });
+    }
+}
+
+function updateCommitHistory() {
+    const committedDiv = document.getElementById('committedFiles');
+    if (!committedDiv) return;
+    
+    // First-parent history of HEAD, oldest first
+    const history = [];
+    for (let hash = getHeadCommit(); hash; hash = readObject(hash).parents[0] || null) {
+        history.unshift(hash);
+    }
+    
+    const tags = getTagNames().map(name => ({ name, hash: peelToCommit(simulatorState.refs[`refs/tags/${name}`]) }));
+    
+    committedDiv.innerHTML = history.map(hash => {
+        const commit = readObject(hash);
+        const fileCount = diffFileMaps(getCommitFiles(commit.parents[0] || null), getCommitFiles(hash)).length;
+        return `
+        <div class="commit-item" title="${escapeHtml(hash)}">
+            <span class="commit-hash">${escapeHtml(shortHash(hash))}</span>
+            ${tags.filter(tag => tag.hash === hash).map(tag => `<span class="commit-tag">🏷️ ${escapeHtml(tag.name)}</span>`).join('')}
+            <span class="commit-message">${escapeHtml(commit.message)}</span>
+            <div class="commit-files">
+                <small>${fileCount} file${fileCount !== 1 ? 's' : ''} committed</small>
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+// ---- Commit graph ----
+
+const graphRowHeight = 36;
+const graphLaneWidth = 24;
+const graphPadding = 20;
+const graphLaneColors = ['#0071ce', '#2a8703', '#995213', '#ea1100', '#76c3ec', '#ffc220'];
+const graphRefOrder = ['head', 'branch', 'tag', 'remote'];
+
+// Where each commit was drawn last time, so commits glide to their new row
+let graphPositions = {};
+let graphSignature = '';
+let selectedGraphCommit = null;
+
+// Every commit reachable from HEAD, a branch, a remote-tracking ref or a tag,
+// newest first, each assigned a lane. A lane waits for its commit's first
+// parent; extra merge parents open lanes of their own.
+function layoutCommitGraph() {
+    const tips = [getHeadCommit(), ...Object.keys(simulatorState.refs)
+        .filter(ref => ref !== 'refs/stash')
+        .map(ref => peelToCommit(simulatorState.refs[ref]))].filter(Boolean);
+    const reachable = [...new Set(tips.flatMap(hash => collectCommits(hash, null)))];
+    
+    const lanes = [];
+    let laneCount = 0;
+    const rows = orderCommits(reachable).map((hash, row) => {
+        let lane = lanes.indexOf(hash);
+        if (lane === -1) lane = lanes.includes(null) ? lanes.indexOf(null) : lanes.length;
+        // Every other lane waiting for this commit ends here
+        lanes.forEach((waiting, i) => {
+            if (waiting === hash) lanes[i] = null;
+        });
+        
+        const parents = readObject(hash).parents;
+        lanes[lane] = parents[0] || null;
+        parents.slice(1).forEach(parent => {
+            if (lanes.includes(parent)) return;
+            lanes[lanes.includes(null) ? lanes.indexOf(null) : lanes.length] = parent;
+        });
+        while (lanes.length > 0 && lanes[lanes.length - 1] === null) lanes.pop();
+        
+        laneCount = Math.max(laneCount, lane + 1, lanes.length);
+        return { hash, row, lane };
+    });
+    return { rows, laneCount };
+}
+
+// Labels to draw next to each commit: HEAD, branches, tags and remote-tracking refs
+function getGraphRefs() {
+    const labels = {};
+    const add = (hash, text, kind) => {
+        labels[hash] = labels[hash] || [];
+        labels[hash].push({ text, kind });
+    };
+    
+    const current = currentBranchName();
+    if (!current && getHeadCommit()) add(getHeadCommit(), 'HEAD', 'head');
+    Object.keys(simulatorState.refs).sort().forEach(ref => {
+        const hash = simulatorState.refs[ref];
+        if (ref.startsWith('refs/heads/')) {
+            const name = ref.slice('refs/heads/'.length);
+            add(hash, name === current ? `HEAD → ${name}` : name, name === current ? 'head' : 'branch');
+        } else if (ref.startsWith('refs/tags/')) {
+            add(peelToCommit(hash), ref.slice('refs/tags/'.length), 'tag');
+        } else if (ref.startsWith('refs/remotes/')) {
+            add(hash, ref.slice('refs/remotes/'.length), 'remote');
+        }
+    });
+    Object.values(labels).forEach(list => list.sort((a, b) => graphRefOrder.indexOf(a.kind) - graphRefOrder.indexOf(b.kind)));
+    return labels;
+}
+
+function updateCommitGraph() {
+    const svg = document.getElementById('commitGraph');
+    if (!svg) return;
+    
+    const { rows, laneCount } = layoutCommitGraph();
+    const refs = getGraphRefs();
+    const signature = JSON.stringify({ rows, refs, selectedGraphCommit });
+    if (signature === graphSignature) return;
+    graphSignature = signature;
+    
+    const positions = {};
+    rows.forEach(({ hash, row, lane }) => {
+        positions[hash] = { x: graphPadding + lane * graphLaneWidth, y: graphPadding + row * graphRowHeight, lane };
+    });
+    const laneColor = lane => graphLaneColors[lane % graphLaneColors.length];
+    const textX = graphPadding + Math.max(laneCount - 1, 0) * graphLaneWidth + 18;
+    
+    // Straight down within a lane; a branch point bends into its parent's lane
+    // just above it, a merge bends into the other parent's lane right away
+    const edges = rows.flatMap(({ hash }) => readObject(hash).parents
+        .filter(parent => positions[parent])
+        .map((parent, i) => {
+            const from = positions[hash];
+            const to = positions[parent];
+            const bend = graphRowHeight / 2;
+            let path;
+            if (from.x === to.x) {
+                path = `M ${from.x} ${from.y} L ${to.x} ${to.y}`;
+            } else if (i === 0) {
+                path = `M ${from.x} ${from.y} L ${from.x} ${to.y - graphRowHeight} C ${from.x} ${to.y - bend}, ${to.x} ${to.y - bend}, ${to.x} ${to.y}`;
+            } else {
+                path = `M ${from.x} ${from.y} C ${from.x} ${from.y + bend}, ${to.x} ${from.y + bend}, ${to.x} ${from.y + graphRowHeight} L ${to.x} ${to.y}`;
+            }
+            return `<path class="graph-edge" d="${path}" stroke="${laneColor(i === 0 ? from.lane : to.lane)}"></path>`;
+        }));
+    
+    const head = getHeadCommit();
+    const nodes = rows.map(({ hash, lane }) => {
+        const { x, y } = positions[hash];
+        const commit = readObject(hash);
+        const previous = graphPositions[hash];
+        const start = previous || { x, y };
+        
+        let labelX = textX - x + 62;
+        const badges = (refs[hash] || []).map(({ text, kind }) => {
+            const width = text.length * 7 + 14;
+            const badge = `
+                <g class="graph-ref graph-ref-${kind}">
+                    <rect x="${labelX}" y="-10" width="${width}" height="20" rx="10"></rect>
+                    <text x="${labelX + 7}" y="4">${escapeHtml(text)}</text>
+                </g>`;
+            labelX += width + 6;
+            return badge;
+        }).join('');
+        const subject = commit.message.split('\n')[0];
+        
+        return `
+            <g class="graph-commit${previous ? '' : ' new'}${hash === selectedGraphCommit ? ' selected' : ''}" data-hash="${escapeHtml(hash)}"
+               style="transform: translate(${start.x}px, ${start.y}px)" onclick="selectGraphCommit(this.dataset.hash)">
+                <title>${escapeHtml(hash)}</title>
+                <circle r="${hash === head ? 8 : 6}" fill="${commit.parents.length > 1 ? 'var(--neutral-white)' : laneColor(lane)}" stroke="${laneColor(lane)}"
+                        class="${hash === head ? 'graph-head' : ''}"></circle>
+                <text class="graph-hash" x="${textX - x}" y="4">${escapeHtml(shortHash(hash))}</text>
+                ${badges}
+                <text class="graph-message" x="${labelX + 4}" y="4">${escapeHtml(subject.length > 60 ? `${subject.slice(0, 57)}...` : subject)}</text>
+            </g>`;
+    });
+    
+    const height = graphPadding * 2 + Math.max(rows.length - 1, 0) * graphRowHeight;
+    svg.setAttribute('height', height);
+    svg.setAttribute('width', textX + 700);
+    svg.innerHTML = rows.length > 0
+        ? `<g class="graph-edges">${edges.join('')}</g>${nodes.join('')}`
+        : `<text class="graph-message" x="${graphPadding}" y="${graphPadding + 4}">No commits yet</text>`;
+    
+    // Commits start where they were drawn before; after a reflow they slide to their new place
+    svg.getBoundingClientRect();
+    svg.querySelectorAll('.graph-commit').forEach(node => {
+        const { x, y } = positions[node.dataset.hash];
+        node.style.transform = `translate(${x}px, ${y}px)`;
+    });
+    graphPositions = positions;
+}
+
+function selectGraphCommit(hash) {
+    selectedGraphCommit = hash;
+    updateCommitGraph();
+    
+    const details = document.getElementById('graphCommitDetails');
+    if (!details) return;
+    const commit = readObject(hash);
+    const changes = diffFileMaps(getCommitFiles(commit.parents[0] || null), getCommitFiles(hash));
+    const [subject, ...body] = commit.message.split('\n');
+    const refs = getGraphRefs()[hash] || [];
+    
+    details.innerHTML = `
+        <h6><span class="commit-hash">${escapeHtml(shortHash(hash))}</span> ${escapeHtml(subject)}</h6>
+        ${refs.map(({ text, kind }) => `<span class="graph-ref-badge graph-ref-${kind}">${escapeHtml(text)}</span>`).join(' ')}
+        ${body.join('\n').trim() ? `<pre class="graph-commit-body">${escapeHtml(body.join('\n').trim())}</pre>` : ''}
+        <dl class="graph-commit-meta">
+            <dt>Commit</dt><dd><code>${escapeHtml(hash)}</code></dd>
+            <dt>Author</dt><dd>${escapeHtml(`${commit.author.name} <${commit.author.email}>`)}</dd>
+            <dt>Date</dt><dd>${formatGitDate(commit.author.timestamp, commit.author.timezone)}</dd>
+            <dt>Parents</dt><dd>${commit.parents.length > 0
+                ? commit.parents.map(parent => `<a href="#" data-hash="${escapeHtml(parent)}" onclick="selectGraphCommit(this.dataset.hash); return false;"><code>${escapeHtml(shortHash(parent))}</code></a>`).join(' ')
+                : 'none (root commit)'}</dd>
+        </dl>
+        <ul class="graph-commit-files">
+            ${changes.map(({ path, change }) => `<li class="${change}">${change === 'new' ? '+' : change === 'deleted' ? '−' : '~'} ${escapeHtml(path)}</li>`).join('')}
+        </ul>
+        <button class="btn btn-secondary" data-command="git show ${escapeHtml(shortHash(hash))}" onclick="suggestCommand(this.dataset.command)">🔍 git show ${escapeHtml(shortHash(hash))}</button>
+    `;
+}
+
+// Side-by-side picker for each conflict block left by a merge
+function updateConflictResolver() {
+    const resolverDiv = document.getElementById('conflictResolver');
+    if (!resolverDiv) return;
+    
+    const conflictedPaths = Object.keys(simulatorState.unmerged).sort();
+    if (conflictedPaths.length === 0) {
+        resolverDiv.style.display = 'none';
+        resolverDiv.innerHTML = '';
+        return;
+    }
+    
+    resolverDiv.style.display = 'block';
+    resolverDiv.innerHTML = `<h5>⚡ Resolve Merge Conflicts</h5>` + conflictedPaths.map(path => {
+        const blocks = parseConflictBlocks(simulatorState.workingTree[path] || '');
+        const body = blocks.length === 0
+            ? `<p class="conflict-done">✅ No conflict markers left. Run <code>git add ${escapeHtml(path)}</code> to mark it resolved.</p>`
+            : blocks.map((block, blockIndex) => `
+                <div class="conflict-block">
+                    <div class="conflict-side ours">
+                        <small>Current change (HEAD)</small>
+                        <pre>${escapeHtml(block.ours.join('\n'))}</pre>
+                    </div>
+                    <div class="conflict-side theirs">
+                        <small>Incoming change (${escapeHtml(block.theirsLabel)})</small>
+                        <pre>${escapeHtml(block.theirs.join('\n'))}</pre>
+                    </div>
+                    <div class="conflict-actions">
+                        <button class="hint-btn" data-path="${escapeHtml(path)}" data-block="${blockIndex}" data-choice="ours">Keep current</button>
+                        <button class="hint-btn" data-path="${escapeHtml(path)}" data-block="${blockIndex}" data-choice="theirs">Keep incoming</button>
+                        <button class="hint-btn" data-path="${escapeHtml(path)}" data-block="${blockIndex}" data-choice="both">Keep both</button>
+                    </div>
+                </div>
+            `).join('');
+        return `<div class="conflict-file"><h6>${escapeHtml(path)}</h6>${body}</div>`;
+    }).join('');
+    
+    resolverDiv.querySelectorAll('.conflict-actions button').forEach(button => {
+        button.addEventListener('click', () => {
+            resolveConflictBlock(button.dataset.path, Number(button.dataset.block), button.dataset.choice);
+        });
+    });
+}
+
+// Replace one conflict block in the working file with the chosen side(s)
+function resolveConflictBlock(path, blockIndex, choice) {
+    const content = simulatorState.workingTree[path];
+    const block = parseConflictBlocks(content)[blockIndex];
+    if (!block) return;
+    
+    const replacement = choice === 'ours' ? block.ours
+        : choice === 'theirs' ? block.theirs
+        : [...block.ours, ...block.theirs];
+    const lines = content.split('\n');
+    lines.splice(block.start, block.end - block.start + 1, ...replacement);
+    simulatorState.workingTree[path] = lines.join('\n');
+    
+    updateSimulatorDisplay();
+    recordTimelineStep(`(kept ${choice === 'both' ? 'both sides' : choice} in ${path})`);
+    const remaining = parseConflictBlocks(simulatorState.workingTree[path]).length;
+    updateStatus(remaining > 0
+        ? `${remaining} conflict${remaining !== 1 ? 's' : ''} left in ${path}`
+        : `${path} resolved - run git add ${path}`);
+}
+
+// ---- Interactive rebase todo editor ----
+
+const rebaseActions = {
+    pick: 'use commit',
+    reword: 'use commit, but edit the commit message',
+    squash: 'use commit, but meld into previous commit',
+    fixup: "like squash, but discard this commit's message",
+    drop: 'remove commit'
+};
+
+function updateRebaseEditor() {
+    const editorDiv = document.getElementById('rebaseEditor');
+    if (!editorDiv) return;
+    
+    const { rebase } = simulatorState;
+    if (!rebase || !rebase.editing) {
+        editorDiv.style.display = 'none';
+        editorDiv.innerHTML = '';
+        return;
+    }
+    
+    const target = rebase.branch || 'HEAD';
+    const rows = rebase.todo.map((item, position) => `
+        <div class="rebase-row ${item.action}">
+            <select class="rebase-action" data-index="${position}">
+                ${Object.keys(rebaseActions).map(action => `<option value="${action}" ${action === item.action ? 'selected' : ''}>${action}</option>`).join('')}
+            </select>
+            <code class="commit-hash">${escapeHtml(shortHash(item.hash))}</code>
+            <input type="text" class="rebase-message" data-index="${position}" value="${escapeHtml(item.message.split('\n')[0])}" ${item.action === 'reword' ? '' : 'disabled'}>
+            <button class="hint-btn" data-move="-1" data-index="${position}" ${position === 0 ? 'disabled' : ''} title="Move up">↑</button>
+            <button class="hint-btn" data-move="1" data-index="${position}" ${position === rebase.todo.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+        </div>
+    `).join('');
+    
+    editorDiv.style.display = 'block';
+    editorDiv.innerHTML = `
+        <h5>✂️ Interactive Rebase: ${escapeHtml(target)} onto ${escapeHtml(shortHash(rebase.onto))}</h5>
+        <p class="area-desc">Commits replay from top to bottom. Reorder them, or change what happens to each one.</p>
+        ${rows || '<p class="area-desc">noop - there are no commits to replay</p>'}
+        <ul class="rebase-legend">
+            ${Object.entries(rebaseActions).map(([action, description]) => `<li><code>${action}</code> ${escapeHtml(description)}</li>`).join('')}
+        </ul>
+        <div class="rebase-controls">
+            <button class="btn btn-primary" id="rebaseStart">▶ Start Rebase</button>
+            <button class="btn btn-secondary" id="rebaseAbort">✖ Abort</button>
+        </div>
+    `;
+    
+    editorDiv.querySelectorAll('.rebase-action').forEach(select => {
+        select.addEventListener('change', () => {
+            rebase.todo[Number(select.dataset.index)].action = select.value;
+            updateRebaseEditor();
+        });
+    });
+    editorDiv.querySelectorAll('.rebase-message').forEach(input => {
+        input.addEventListener('input', () => {
+            // Reword replaces the subject line and keeps any message body
+            const item = rebase.todo[Number(input.dataset.index)];
+            const body = item.message.split('\n').slice(1);
+            item.message = [input.value, ...body].join('\n');
+        });
+    });
+    editorDiv.querySelectorAll('[data-move]').forEach(button => {
+        button.addEventListener('click', () => {
+            const from = Number(button.dataset.index);
+            const to = from + Number(button.dataset.move);
+            const [item] = rebase.todo.splice(from, 1);
+            rebase.todo.splice(to, 0, item);
+            updateRebaseEditor();
         });
+    });
+    document.getElementById('rebaseStart').addEventListener('click', async () => {
+        await startRebase();
+        updateSimulatorDisplay();
+        recordTimelineStep('(started the rebase from the editor)');
+    });
+    document.getElementById('rebaseAbort').addEventListener('click', () => {
+        abortRebase();
+        recordTimelineStep('(aborted the rebase from the editor)');
+    });
+}
+
+// ---- Working file editor ----
+
+// Path open in the editor and the content it had when last loaded or saved
+let editorOpenPath = null;
+let editorSavedContent = '';
+
+function updateFileEditor() {
+    const listDiv = document.getElementById('editorFileList');
+    if (!listDiv) return;
+    
+    const { workingTree, index } = simulatorState;
+    if (editorOpenPath !== null && !(editorOpenPath in workingTree)) {
+        closeEditorFile();
+    }
+    
+    // Mark each file against the last commit: M(odified), A(dded) or U(ntracked)
+    const headFiles = getCommitFiles(getHeadCommit());
+    const paths = Object.keys(workingTree).sort();
+    listDiv.innerHTML = paths.length === 0
+        ? '<small class="area-desc">No files yet - create one below</small>'
+        : paths.map(path => {
+            let marker = '';
+            if (!(path in headFiles)) {
+                marker = `<span class="editor-file-marker new">${path in index ? 'A' : 'U'}</span>`;
+            } else if (readObject(headFiles[path]).content !== workingTree[path]) {
+                marker = '<span class="editor-file-marker">M</span>';
+            }
+            return `
+                <button class="editor-file ${path === editorOpenPath ? 'active' : ''}" data-file="${escapeHtml(path)}">
+                    <span class="file-icon">${fileIcon(path)}</span>
+                    <span class="file-name">${escapeHtml(path)}</span>
+                    ${marker}
+                </button>
+            `;
+        }).join('');
+    
+    listDiv.querySelectorAll('.editor-file').forEach(button => {
+        button.addEventListener('click', () => openWorkingFile(button.dataset.file));
+    });
+    
+    // Pick up changes made by commands (checkout, merge...) unless the learner is mid-edit
+    const editor = document.getElementById('editorContent');
+    if (editorOpenPath !== null && editor.value === editorSavedContent) {
+        editorSavedContent = workingTree[editorOpenPath];
+        editor.value = editorSavedContent;
+    }
+    updateEditorToolbar();
+}
+
+function updateEditorToolbar() {
+    const editor = document.getElementById('editorContent');
+    const pathLabel = document.getElementById('editorPath');
+    if (!editor || !pathLabel) return;
+    
+    const isOpen = editorOpenPath !== null;
+    const isDirty = isOpen && editor.value !== editorSavedContent;
+    pathLabel.textContent = isOpen ? `${editorOpenPath}${isDirty ? ' ●' : ''}` : 'No file open';
+    editor.disabled = !isOpen;
+    document.getElementById('editorSave').disabled = !isDirty;
+    document.getElementById('editorDelete').disabled = !isOpen;
+}
+
+function openWorkingFile(path) {
+    if (!(path in simulatorState.workingTree)) return;
+    
+    const editor = document.getElementById('editorContent');
+    if (editorOpenPath !== null && editorOpenPath !== path && editor.value !== editorSavedContent &&
+        !confirm(`Discard unsaved changes to ${editorOpenPath}?`)) {
+        return;
+    }
+    
+    editorOpenPath = path;
+    editorSavedContent = simulatorState.workingTree[path];
+    editor.value = editorSavedContent;
+    updateFileEditor();
+    editor.focus();
+}
+
+function closeEditorFile() {
+    editorOpenPath = null;
+    editorSavedContent = '';
+    const editor = document.getElementById('editorContent');
+    if (editor) editor.value = '';
+}
+
+function saveEditorFile() {
+    if (editorOpenPath === null) return;
+    
+    const content = document.getElementById('editorContent').value;
+    simulatorState.workingTree[editorOpenPath] = content;
+    editorSavedContent = content;
+    updateSimulatorDisplay();
+    recordTimelineStep(`(saved ${editorOpenPath} in the editor)`);
+    updateStatus(`Saved ${editorOpenPath} - run git status or git diff to see the change`);
+}
+
+function createWorkingFile() {
+    const input = document.getElementById('newFileName');
+    const path = input.value.trim();
+    const { workingTree } = simulatorState;
+    
+    if (!path) {
+        updateStatus('Type a file name first, e.g. New-Script.ps1');
+        return;
+    }
+    const segments = path.split('/');
+    if (segments.some(segment => segment === '' || segment === '.' || segment === '..' || segment === '.git')) {
+        updateStatus(`'${path}' is not a valid file name`);
+        return;
+    }
+    if (path in workingTree) {
+        input.value = '';
+        openWorkingFile(path);
+        return;
+    }
+    
+    // A path can't be both a file and a folder
+    if (isShellDirectory(path)) {
+        updateStatus(`Can't create ${path} - there is already a folder called that`);
+        return;
+    }
+    const clash = Object.keys(workingTree).find(existing =>
+        existing.startsWith(`${path}/`) || path.startsWith(`${existing}/`));
+    if (clash) {
+        updateStatus(`Can't create ${path} - it clashes with ${clash}`);
+        return;
+    }
+    
+    workingTree[path] = '';
+    input.value = '';
+    updateSimulatorDisplay();
+    recordTimelineStep(`(created ${path} in the editor)`);
+    openWorkingFile(path);
+    updateStatus(`Created ${path} - it stays untracked until you git add it`);
+}
+
+function deleteWorkingFile() {
+    if (editorOpenPath === null) return;
+    
+    const path = editorOpenPath;
+    delete simulatorState.workingTree[path];
+    closeEditorFile();
+    updateSimulatorDisplay();
+    recordTimelineStep(`(deleted ${path} in the editor)`);
+    updateStatus(path in simulatorState.index
+        ? `Deleted ${path} - stage the deletion with git add ${path}`
+        : `Deleted ${path}`);
+}
+
+// ---- Achievements ----
+
+// Every achievement in the tutorial. `unlock` is asked about each tutorial event
+// (see recordTutorialEvent) along with the learner's progress so far, and the
+// achievement is awarded the first time it answers true.
+const achievementRegistry = [
+    { id: 'identity', icon: '🪪', title: 'Who Am I', description: 'Tell Git your name and email',
+        unlock: event => event.type === 'config' && event.identity },
+    { id: 'first-status', icon: '🔍', title: 'Status Checker', description: 'Run git status',
+        unlock: event => event.type === 'status' },
+    { id: 'first-add', icon: '➕', title: 'File Stager', description: 'Stage a file',
+        unlock: event => event.type === 'add' },
+    { id: 'first-commit', icon: '💾', title: 'Commit Master', description: 'Make your first commit',
+        unlock: event => event.type === 'commit' },
+    { id: 'clean-slate', icon: '✨', title: 'Clean Slate', description: 'Achieve clean working tree',
+        unlock: event => event.type === 'status' && event.clean },
+    { id: 'first-branch', icon: '🌿', title: 'Branching Out', description: 'Create a branch',
+        unlock: event => event.type === 'branch' },
+    { id: 'first-merge', icon: '🔀', title: 'Merge Maker', description: 'Merge one branch into another',
+        unlock: event => event.type === 'merge' || (event.type === 'commit' && event.merge) },
+    { id: 'conflict-resolved', icon: '🤝', title: 'Peacemaker', description: 'Resolve a merge conflict',
+        unlock: event => event.type === 'resolve' },
+    { id: 'history-rewriter', icon: '✂️', title: 'History Editor', description: 'Finish an interactive rebase',
+        unlock: event => event.type === 'rebase' && event.interactive },
+    { id: 'first-cherry-pick', icon: '🍒', title: 'Cherry Picker', description: 'Copy a commit with git cherry-pick',
+        unlock: event => event.type === 'cherry-pick' },
+    { id: 'first-revert', icon: '↩️', title: 'Safe Undo', description: 'Undo a commit with git revert',
+        unlock: event => event.type === 'revert' },
+    { id: 'first-release', icon: '🏷️', title: 'Release Manager', description: 'Push an annotated tag to origin',
+        unlock: event => event.type === 'push-tags' && event.annotated },
+    { id: 'first-stash', icon: '📦', title: 'Squirrel', description: 'Stash work in progress',
+        unlock: event => event.type === 'stash' },
+    { id: 'first-push', icon: '🚀', title: 'Shipped It', description: 'Push a branch to origin',
+        unlock: event => event.type === 'push' && !event.rejected },
+    { id: 'push-rejected', icon: '🛑', title: 'Rejected!', description: 'Have a push rejected by the remote',
+        unlock: event => event.type === 'push' && event.rejected },
+    { id: 'time-traveller', icon: '⏪', title: 'Time Traveller', description: 'Step back with the timeline',
+        unlock: event => event.type === 'time-travel' },
+    { id: 'first-exercise', icon: '🎯', title: 'On Target', description: 'Complete an exercise',
+        unlock: event => event.type === 'exercise' },
+    { id: 'all-exercises', icon: '🧪', title: 'Lab Graduate', description: 'Complete every exercise',
+        unlock: event => event.type === 'exercise' && exerciseTracks.every(track =>
+            track.exercises.every(exercise => exerciseProgress.completed[exercise.id])) },
+    { id: 'all-sections', icon: '📚', title: 'Cover to Cover', description: 'Visit every section of the tutorial',
+        unlock: (event, progress) => event.type === 'section' && sections.every(section => progress.sectionsVisited.includes(section)) },
+    { id: 'quiz-passed', icon: '🎓', title: 'Certified', description: 'Pass the final quiz',
+        unlock: event => event.type === 'quiz' && event.passed },
+    { id: 'quiz-first-try', icon: '🥇', title: 'First Try', description: 'Pass the final quiz on your first attempt',
+        unlock: (event, progress) => event.type === 'quiz' && event.passed && progress.quizAttempts === 1 },
+    { id: 'quiz-perfect', icon: '💯', title: 'Flawless', description: 'Score 100% on the final quiz',
+        unlock: event => event.type === 'quiz' && event.percentage === 100 }
+];
+
+const achievementStorageKey = 'github-tutorial-achievements';
+
+// unlocked maps achievement id -> when it was earned; the rest is what the
+// unlock conditions need to remember between events
+let achievementProgress = loadAchievementProgress();
+
+function loadAchievementProgress() {
+    const progress = { unlocked: {}, sectionsVisited: [], quizAttempts: 0 };
+    try {
+        return { ...progress, ...JSON.parse(localStorage.getItem(achievementStorageKey)) };
+    } catch (error) {
+        return progress;
+    }
+}
+
+function saveAchievementProgress() {
+    try {
+        localStorage.setItem(achievementStorageKey, JSON.stringify(achievementProgress));
+    } catch (error) {
+        // Achievements still work for this visit without storage
+    }
+}
+
+// Something happened in the tutorial: note it and award whatever it unlocks
+function recordTutorialEvent(type, detail = {}) {
+    const event = { type, ...detail };
+    if (type === 'section' && !achievementProgress.sectionsVisited.includes(event.section)) {
+        achievementProgress.sectionsVisited.push(event.section);
+    }
+    if (type === 'quiz') {
+        achievementProgress.quizAttempts++;
     }
+    
+    achievementRegistry
+        .filter(achievement => !achievementProgress.unlocked[achievement.id] && achievement.unlock(event, achievementProgress))
+        .forEach(achievement => unlockAchievement(achievement.id));
+    saveAchievementProgress();
 }
 
-function updateStagedFiles() {
-    const stagedDiv = document.getElementById('stagedFiles');
-    if (!stagedDiv) return;
+function unlockAchievement(achievementId) {
+    const achievement = achievementRegistry.find(candidate => candidate.id === achievementId);
+    if (!achievement || achievementProgress.unlocked[achievementId]) return;
     
-    if (simulatorState.stagedFiles.length === 0) {
-        stagedDiv.innerHTML = `
-            <div class="empty-state">
-                <span class="empty-icon">📭</span>
-                <p>Drag files here to stage them</p>
-                <small>or use: <code>git add filename</code></small>
-            </div>
-        `;
-    } else {
-        stagedDiv.innerHTML = simulatorState.stagedFiles.map(file => `
-            <div class="file-item staged" draggable="true" data-file="${file.name}">
-                <span class="file-icon">${file.icon}</span>
-                <span class="file-name">${file.name}</span>
-                <span class="file-status staged">Staged</span>
-            </div>
-        `).join('');
-        
-        // Re-attach event listeners
-        stagedDiv.querySelectorAll('.file-item').forEach(file => {
-            file.addEventListener('dragstart', handleDragStart);
-            file.addEventListener('dragend', handleDragEnd);
-        });
-    }
+    achievementProgress.unlocked[achievementId] = Date.now();
+    saveAchievementProgress();
+    updateAchievementBadges();
+    
+    // Show achievement notification
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: var(--accent-yellow);
+        color: var(--bentonville-blue);
+        padding: 1rem 1.5rem;
+        border-radius: 0.5rem;
+        font-weight: bold;
+        box-shadow: var(--shadow-lg);
+        z-index: 10000;
+        animation: slideInRight 0.3s ease-out;
+    `;
+    notification.textContent = `${achievement.icon} Achievement Unlocked: ${achievement.title}!`;
+    document.body.appendChild(notification);
+    
+    setTimeout(() => {
+        notification.style.animation = 'slideOutRight 0.3s ease-in';
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
 }
 
-function updateCommitHistory() {
-    const committedDiv = document.getElementById('committedFiles');
-    if (!committedDiv) return;
+// Fill the trophy case with one badge per registered achievement
+function renderTrophyCase() {
+    const trophyCase = document.getElementById('trophyCase');
+    if (!trophyCase) return;
     
-    committedDiv.innerHTML = simulatorState.commits.map(commit => `
-        <div class="commit-item">
-            <span class="commit-hash">${commit.hash}</span>
-            <span class="commit-message">${commit.message}</span>
-            <div class="commit-files">
-                <small>${commit.files} file${commit.files > 1 ? 's' : ''} committed</small>
-            </div>
+    trophyCase.innerHTML = achievementRegistry.map(achievement => `
+        <div class="achievement locked" data-achievement="${achievement.id}">
+            <span class="achievement-icon">${achievement.icon}</span>
+            <span class="achievement-name">${achievement.title}</span>
+            <small>${achievement.description}</small>
         </div>
     `).join('');
+    updateAchievementBadges();
 }
 
-function unlockAchievement(achievementId) {
-    if (simulatorState.achievements[achievementId]) return;
-    
-    simulatorState.achievements[achievementId] = true;
-    const achievement = document.querySelector(`[data-achievement="${achievementId}"]`);
+function updateAchievementBadges() {
+    document.querySelectorAll('#trophyCase .achievement').forEach(badge => {
+        const earned = achievementProgress.unlocked[badge.dataset.achievement];
+        badge.classList.toggle('unlocked', Boolean(earned));
+        badge.classList.toggle('locked', !earned);
+        badge.title = earned ? `Unlocked ${new Date(earned).toLocaleDateString()}` : 'Locked';
+    });
     
-    if (achievement) {
-        achievement.classList.remove('locked');
-        achievement.classList.add('unlocked');
-        
-        // Show achievement notification
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: var(--accent-yellow);
-            color: var(--bentonville-blue);
-            padding: 1rem 1.5rem;
-            border-radius: 0.5rem;
-            font-weight: bold;
-            box-shadow: var(--shadow-lg);
-            z-index: 10000;
-            animation: slideInRight 0.3s ease-out;
-        `;
-        notification.textContent = `🏆 Achievement Unlocked: ${achievement.querySelector('.achievement-name').textContent}!`;
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
-            notification.style.animation = 'slideOutRight 0.3s ease-in';
-            setTimeout(() => notification.remove(), 300);
-        }, 3000);
+    const count = document.getElementById('trophyCount');
+    if (count) {
+        count.textContent = `${Object.keys(achievementProgress.unlocked).length} of ${achievementRegistry.length} unlocked`;
     }
 }
 
@@ -2684,40 +8807,1023 @@ function suggestCommand(command) {
     }
 }
 
-// Reset simulator
-function resetSimulator() {
-    simulatorState = {
-        workingFiles: [
-            { name: 'Get-SystemInfo.ps1', status: 'modified', icon: '📄' },
-            { name: 'Install-Software.ps1', status: 'new', icon: '📄' },
-            { name: 'README.md', status: 'modified', icon: '📋' }
-        ],
-        stagedFiles: [],
+// The setup section's identity step, tried for real in the basics simulator
+function practiceIdentitySetup() {
+    navigateToSection('basics');
+    suggestCommand('git config --global user.name "Your Name"');
+}
+
+// ---- Guided exercises ----
+
+// Starting repositories for exercises that need something other than the
+// default starter. They use the simulatorStarterRepo format: without a
+// `workingTree` the checked-out branch starts clean, and `trackingBranches`
+// says where origin/* pointed at the last fetch when that differs from `branches`.
+const [initialCommit, requirementsCommit, contributingCommit] = simulatorStarterRepo.commits;
+
+const installScriptCommit = {
+    message: 'Add Install-Software.ps1',
+    parent: 0,
+    timestamp: 1755104400,
+    files: {
+        ...initialCommit.files,
+        'Install-Software.ps1': simulatorStarterRepo.workingTree['Install-Software.ps1'],
+        'README.md': simulatorStarterRepo.workingTree['README.md']
+    }
+};
+
+const exerciseRepos = {
+    // main and the feature branch both changed the end of README.md
+    conflict: {
+        branch: 'feature/powershell-improvements',
+        branches: { 'feature/powershell-improvements': 3, main: 1 },
+        commits: [initialCommit, requirementsCommit, contributingCommit, installScriptCommit]
+    },
+    // Three messy commits that should become one before review
+    messyFeature: {
+        branch: 'feature/powershell-improvements',
+        branches: { 'feature/powershell-improvements': 5, main: 1 },
         commits: [
-            { hash: 'a1b2c3d', message: 'Initial PowerShell utilities', files: 2 }
-        ],
-        achievements: {
-            'first-status': false,
-            'first-add': false,
-            'first-commit': false,
-            'clean-slate': false
+            initialCommit, requirementsCommit, contributingCommit, installScriptCommit,
+            {
+                message: 'WIP',
+                timestamp: 1755108000,
+                files: {
+                    ...installScriptCommit.files,
+                    'Install-Software.ps1': installScriptCommit.files['Install-Software.ps1'].replace('--silent', '--silent --scope machine')
+                }
+            },
+            {
+                message: 'fix typo',
+                timestamp: 1755111600,
+                files: {
+                    ...installScriptCommit.files,
+                    'Install-Software.ps1': installScriptCommit.files['Install-Software.ps1'].replace('--silent', '--silent --scope machine').replace('Installing $id...', 'Installing $id ...')
+                }
+            }
+        ]
+    },
+    // A local commit that should never have been made
+    oopsCommit: {
+        branch: 'feature/powershell-improvements',
+        branches: { 'feature/powershell-improvements': 3, main: 1 },
+        remoteBranches: { 'feature/powershell-improvements': 0, main: 1 },
+        trackingBranches: { 'feature/powershell-improvements': 0, main: 1 },
+        commits: [
+            initialCommit, requirementsCommit, contributingCommit,
+            {
+                message: 'Oops: leave debugging output in',
+                parent: 0,
+                timestamp: 1755104400,
+                files: {
+                    ...initialCommit.files,
+                    'Get-SystemInfo.ps1': initialCommit.files['Get-SystemInfo.ps1'] + 'Write-Host "DEBUG: reached the end"\n'
+                }
+            }
+        ]
+    },
+    // A branch that only exists locally
+    unpublishedBranch: {
+        branch: 'feature/disk-report',
+        branches: { 'feature/disk-report': 3, main: 1 },
+        remoteBranches: { main: 1 },
+        commits: [
+            initialCommit, requirementsCommit, contributingCommit,
+            {
+                message: 'Add disk space report',
+                parent: 1,
+                timestamp: 1755187200,
+                files: {
+                    ...requirementsCommit.files,
+                    'Get-DiskReport.ps1': `# Get-DiskReport.ps1 - Lists drives that are running low on space
+Get-CimInstance -ClassName Win32_LogicalDisk -Filter "DriveType=3" |
+    Where-Object { $_.FreeSpace / $_.Size -lt 0.1 } |
+    Select-Object DeviceID, @{ Name = 'FreeGB'; Expression = { [Math]::Round($_.FreeSpace / 1GB, 2) } }
+`
+                }
+            }
+        ]
+    },
+    // A fix on the feature branch that main needs now, without the rest of the branch
+    hotfixOnFeature: {
+        branch: 'main',
+        branches: { main: 1, 'feature/powershell-improvements': 3 },
+        commits: [
+            initialCommit, requirementsCommit, installScriptCommit,
+            {
+                message: 'Trim padding from the CPU name',
+                timestamp: 1755190800,
+                files: {
+                    ...installScriptCommit.files,
+                    'Get-SystemInfo.ps1': installScriptCommit.files['Get-SystemInfo.ps1'].replace('$($cpu.Name)', '$($cpu.Name.Trim())')
+                }
+            }
+        ]
+    },
+    // A wrong change already pushed to main, with more work on top of it
+    badCommitOnMain: {
+        branch: 'main',
+        branches: { main: 4, 'feature/powershell-improvements': 0 },
+        commits: [
+            initialCommit, requirementsCommit, contributingCommit,
+            {
+                message: 'Lower the required PowerShell version',
+                timestamp: 1755277200,
+                files: {
+                    ...contributingCommit.files,
+                    'README.md': contributingCommit.files['README.md'].replace('PowerShell 7.2', 'PowerShell 5.1')
+                }
+            },
+            {
+                message: 'Add Install-Software.ps1',
+                timestamp: 1755280800,
+                files: {
+                    ...contributingCommit.files,
+                    'README.md': contributingCommit.files['README.md'].replace('PowerShell 7.2', 'PowerShell 5.1'),
+                    'Install-Software.ps1': installScriptCommit.files['Install-Software.ps1']
+                }
+            }
+        ]
+    },
+    // Test runs of the install script left logs around the new script
+    installLogs: {
+        branch: 'feature/powershell-improvements',
+        branches: { 'feature/powershell-improvements': 3, main: 2 },
+        commits: [initialCommit, requirementsCommit, contributingCommit, installScriptCommit],
+        workingTree: {
+            ...installScriptCommit.files,
+            'install.log': 'Installing Git.Git...\nInstalling Microsoft.PowerShell...\n',
+            'logs/README.md': '# logs\n\nInstall-Software.ps1 writes one transcript per run into this folder.\n',
+            'logs/install-2025-08-14.txt': 'Transcript started 2025-08-14 09:12\nInstalling Git.Git...\n',
+            'logs/install-2025-08-15.txt': 'Transcript started 2025-08-15 16:40\nInstalling Microsoft.PowerShell...\n'
         }
-    };
+    },
+    // Both scripts sit in the repository root next to notes committed by mistake
+    scratchNotes: {
+        branch: 'feature/powershell-improvements',
+        branches: { 'feature/powershell-improvements': 4, main: 2 },
+        commits: [
+            initialCommit, requirementsCommit, contributingCommit, installScriptCommit,
+            {
+                message: 'Add notes from the tooling meeting',
+                timestamp: 1755190800,
+                files: {
+                    ...installScriptCommit.files,
+                    'notes.txt': 'Tooling meeting\n- move the scripts into their own folder\n- ask about signing the scripts\n'
+                }
+            }
+        ]
+    },
+    // Local main has a commit, and a teammate pushed to origin/main meanwhile
+    behindOrigin: {
+        branch: 'main',
+        branches: { main: 3, 'feature/powershell-improvements': 0 },
+        remoteBranches: { main: 2, 'feature/powershell-improvements': 0 },
+        trackingBranches: { main: 1, 'feature/powershell-improvements': 0 },
+        commits: [
+            initialCommit, requirementsCommit, contributingCommit,
+            {
+                message: 'Mention winget in the requirements',
+                parent: 1,
+                timestamp: 1755273600,
+                files: {
+                    ...requirementsCommit.files,
+                    'README.md': requirementsCommit.files['README.md'] + 'Install-Software.ps1 also needs winget.\n'
+                }
+            }
+        ]
+    }
+};
+
+// Exercise tracks, one per tutorial section. Each exercise names its starting
+// repo (the default starter when omitted), the goals that must all hold - each
+// `check` is a key of exerciseChecks - and hints revealed one at a time.
+const exerciseTracks = [
+    {
+        section: 'basics',
+        title: 'Git Basics',
+        exercises: [
+            {
+                id: 'set-identity',
+                title: 'Introduce yourself',
+                description: 'Git signs every commit with a name and an email address, and refuses to commit until it has both. Set yours once for every repository.',
+                goals: [
+                    { check: 'configured', key: 'user.name', scope: 'global', label: 'user.name set globally' },
+                    { check: 'configured', key: 'user.email', scope: 'global', label: 'user.email set globally' }
+                ],
+                hints: [
+                    '<code>git config --global user.name "Your Name"</code> sets the name for all your repositories.',
+                    'Set <code>user.email</code> the same way, then check both with <code>git config --list</code>.'
+                ]
+            },
+            {
+                id: 'inspect-changes',
+                title: 'Look before you stage',
+                description: 'Before staging anything, find out which files changed and what exactly changed in them.',
+                goals: [
+                    { check: 'ran', command: 'git status', label: 'Check the state of the working directory' },
+                    { check: 'ran', command: 'git diff', label: 'Read the line-by-line changes' }
+                ],
+                hints: [
+                    '<code>git status</code> lists modified and untracked files.',
+                    '<code>git diff</code> shows the changed lines of tracked files.'
+                ]
+            },
+            {
+                id: 'commit-readme',
+                title: 'Commit just the README',
+                description: 'Your README update is ready but the scripts are not. Commit README.md on its own.',
+                goals: [
+                    { check: 'committed', path: 'README.md', label: 'README.md committed' },
+                    { check: 'untracked', path: 'Install-Software.ps1', label: 'Install-Software.ps1 still untracked' },
+                    { check: 'uncommitted', path: 'Get-SystemInfo.ps1', label: 'Get-SystemInfo.ps1 changes not committed yet' }
+                ],
+                hints: [
+                    'Stage a single file by naming it: <code>git add README.md</code>.',
+                    'Check with <code>git status</code> that only README.md is under "Changes to be committed".',
+                    'Then <code>git commit -m "Document Install-Software.ps1"</code>.'
+                ]
+            },
+            {
+                id: 'commit-and-push',
+                title: 'Ship the rest',
+                description: 'Commit the remaining changes, including the new script, and push the branch to GitHub.',
+                goals: [
+                    { check: 'clean', label: 'Nothing left to commit, nothing untracked' },
+                    { check: 'pushed', branch: 'feature/powershell-improvements', label: 'feature/powershell-improvements pushed to origin' }
+                ],
+                hints: [
+                    '<code>git add .</code> stages every change, new files included.',
+                    'Commit with <code>git commit -m "..."</code>, then run <code>git push</code>.'
+                ]
+            },
+            {
+                id: 'ignore-logs',
+                title: 'Keep the logs out',
+                description: 'Test runs left install.log and a folder of transcripts behind. Add a .gitignore so none of them can be committed, but keep logs/README.md in the repo to explain the folder.',
+                start: exerciseRepos.installLogs,
+                goals: [
+                    { check: 'committed', path: '.gitignore', label: '.gitignore committed' },
+                    { check: 'ignored', path: 'install.log', label: 'install.log ignored' },
+                    { check: 'ignored', path: 'logs/install-2025-08-15.txt', label: 'Transcripts in logs/ ignored' },
+                    { check: 'committed', path: 'logs/README.md', label: 'logs/README.md committed' },
+                    { check: 'clean', label: 'Nothing left to commit, nothing untracked' }
+                ],
+                hints: [
+                    'Create <code>.gitignore</code> with the file editor. <code>*.log</code> matches log files in every folder.',
+                    'Ignoring <code>logs/</code> hides the whole folder, and a <code>!</code> rule cannot bring back a file inside an ignored folder. Use <code>logs/*</code> followed by <code>!logs/README.md</code>.',
+                    '<code>git check-ignore -v logs/README.md</code> shows which rule decides a path, and <code>git status --ignored</code> lists everything that is ignored.'
+                ]
+            },
+            {
+                id: 'tidy-up',
+                title: 'Tidy up the repository',
+                description: 'The scripts belong in a scripts/ folder, and notes.txt was never meant to be committed. Reorganise the files from the terminal and commit the result.',
+                start: exerciseRepos.scratchNotes,
+                goals: [
+                    { check: 'committed', path: 'scripts/Get-SystemInfo.ps1', label: 'Get-SystemInfo.ps1 moved into scripts/' },
+                    { check: 'committed', path: 'scripts/Install-Software.ps1', label: 'Install-Software.ps1 moved into scripts/' },
+                    { check: 'absent', path: 'Get-SystemInfo.ps1', label: 'No copy left in the root' },
+                    { check: 'absent', path: 'notes.txt', label: 'notes.txt removed' },
+                    { check: 'clean', label: 'Nothing left to commit, nothing untracked' }
+                ],
+                hints: [
+                    'Look around with <code>ls</code> and <code>cat notes.txt</code>, then make the folder with <code>mkdir scripts</code>.',
+                    '<code>git mv Get-SystemInfo.ps1 Install-Software.ps1 scripts/</code> moves the files and stages the move in one step - <code>git status</code> shows it as "renamed".',
+                    '<code>git rm notes.txt</code> deletes the file and stages the deletion. Then commit.'
+                ]
+            }
+        ]
+    },
+    {
+        section: 'branching',
+        title: 'Branching & Merging',
+        exercises: [
+            {
+                id: 'create-branch',
+                title: 'Start a feature branch',
+                description: 'Start work on a disk report in its own branch called feature/disk-report, and switch to it.',
+                goals: [
+                    { check: 'branchExists', branch: 'feature/disk-report', label: 'Branch feature/disk-report exists' },
+                    { check: 'onBranch', branch: 'feature/disk-report', label: 'You are on feature/disk-report' }
+                ],
+                hints: [
+                    '<code>git switch -c &lt;name&gt;</code> creates a branch and switches to it in one step.'
+                ]
+            },
+            {
+                id: 'merge-conflict',
+                title: 'Resolve a merge conflict',
+                description: 'main gained a Requirements section while your branch added a Usage section to the same spot. Merge main into your branch and keep both.',
+                start: exerciseRepos.conflict,
+                goals: [
+                    { check: 'merged', branch: 'main', into: 'feature/powershell-improvements', label: 'main merged into feature/powershell-improvements' },
+                    { check: 'resolved', label: 'No merge left in progress' },
+                    { check: 'contains', path: 'README.md', text: '## Requirements', label: 'README.md keeps the Requirements section' },
+                    { check: 'contains', path: 'README.md', text: '## Usage', label: 'README.md keeps the Usage section' },
+                    { check: 'lacks', path: 'README.md', text: '<<<<<<<', label: 'No conflict markers committed' }
+                ],
+                hints: [
+                    'Run <code>git merge main</code> and read which file conflicts.',
+                    'Open README.md in the editor, keep both sections and delete the marker lines.',
+                    'Mark it resolved with <code>git add README.md</code>, then <code>git commit</code>.'
+                ]
+            }
+        ]
+    },
+    {
+        section: 'advanced',
+        title: 'Advanced Git',
+        exercises: [
+            {
+                id: 'stash-and-switch',
+                title: 'Park your work',
+                description: 'An urgent fix is needed on main, but your edits are not ready to commit. Save them without committing and get onto main.',
+                goals: [
+                    { check: 'stashed', label: 'Your edits are saved in the stash' },
+                    { check: 'onBranch', branch: 'main', label: 'You are on main' }
+                ],
+                hints: [
+                    '<code>git switch main</code> refuses while README.md has edits main would overwrite.',
+                    '<code>git stash</code> shelves tracked changes and leaves a clean working directory.'
+                ]
+            },
+            {
+                id: 'undo-commit',
+                title: 'Undo a local commit',
+                description: 'The last commit on your branch left debugging output in. It was never pushed: take the commit back but keep the change so you can fix it.',
+                start: exerciseRepos.oopsCommit,
+                goals: [
+                    { check: 'noCommit', branch: 'feature/powershell-improvements', message: 'Oops', label: 'The "Oops" commit is gone from the branch' },
+                    { check: 'uncommitted', path: 'Get-SystemInfo.ps1', label: 'The change to Get-SystemInfo.ps1 is still in your working directory' }
+                ],
+                hints: [
+                    '<code>HEAD~1</code> names the commit before the current one.',
+                    '<code>git reset --soft HEAD~1</code> moves the branch back and keeps the change staged.'
+                ]
+            },
+            {
+                id: 'squash-feature',
+                title: 'Squash before review',
+                description: 'Your branch has three commits, two of them noise. Rebase it onto main as a single clean commit.',
+                start: exerciseRepos.messyFeature,
+                goals: [
+                    { check: 'commitsAhead', branch: 'feature/powershell-improvements', base: 'main', count: 1, label: 'Exactly one commit on top of main' },
+                    { check: 'merged', branch: 'main', into: 'feature/powershell-improvements', label: 'Branch is based on the latest main' },
+                    { check: 'contains', path: 'Install-Software.ps1', text: '--scope machine', label: 'The later fixes are kept' },
+                    { check: 'resolved', label: 'No rebase left in progress' }
+                ],
+                hints: [
+                    'Start with <code>git rebase -i main</code>.',
+                    'Keep the first line as <code>pick</code> and change the other two to <code>squash</code> or <code>fixup</code>.',
+                    'If README.md conflicts, resolve it, <code>git add</code> it and run <code>git rebase --continue</code>.'
+                ]
+            },
+            {
+                id: 'cherry-pick-hotfix',
+                title: 'Bring one fix across',
+                description: 'The feature branch has a CPU name fix that main needs today, but the rest of the branch is not ready. Copy just that commit onto main.',
+                start: exerciseRepos.hotfixOnFeature,
+                goals: [
+                    { check: 'hasCommit', branch: 'main', message: 'Trim padding from the CPU name', label: 'main has the CPU name fix' },
+                    { check: 'noCommit', branch: 'main', message: 'Add Install-Software.ps1', label: 'main does not have the unfinished install script' },
+                    { check: 'resolved', label: 'No cherry-pick left in progress' }
+                ],
+                hints: [
+                    '<code>git log --oneline feature/powershell-improvements</code> shows the fix\'s hash.',
+                    '<code>git cherry-pick &lt;hash&gt;</code> copies that one commit onto the branch you are on.'
+                ]
+            },
+            {
+                id: 'revert-pushed',
+                title: 'Undo a pushed commit',
+                description: 'Someone pushed a commit to main that lowered the required PowerShell version. Teammates already have it, so undo it with a new commit instead of rewriting history, and push the fix.',
+                start: exerciseRepos.badCommitOnMain,
+                goals: [
+                    { check: 'contains', path: 'README.md', text: 'PowerShell 7.2', label: 'README.md requires PowerShell 7.2 again' },
+                    { check: 'hasCommit', branch: 'main', message: 'Lower the required PowerShell version', label: 'The bad commit is still in history' },
+                    { check: 'hasCommit', branch: 'main', message: 'Add Install-Software.ps1', label: 'The later work is kept' },
+                    { check: 'pushed', branch: 'main', label: 'main pushed to origin' }
+                ],
+                hints: [
+                    'Find the bad commit with <code>git log --oneline</code>.',
+                    '<code>git revert &lt;hash&gt;</code> makes a new commit that undoes it. <code>git reset</code> would rewrite shared history.',
+                    'Then <code>git push</code>.'
+                ]
+            }
+        ]
+    },
+    {
+        section: 'collaboration',
+        title: 'Collaboration',
+        exercises: [
+            {
+                id: 'publish-branch',
+                title: 'Publish a new branch',
+                description: 'feature/disk-report only exists on your machine. Push it to origin and make it track the remote branch.',
+                start: exerciseRepos.unpublishedBranch,
+                goals: [
+                    { check: 'pushed', branch: 'feature/disk-report', label: 'feature/disk-report is on origin' },
+                    { check: 'tracks', branch: 'feature/disk-report', upstream: 'feature/disk-report', label: 'It tracks origin/feature/disk-report' }
+                ],
+                hints: [
+                    'A plain <code>git push</code> fails: the branch has no upstream yet.',
+                    '<code>git push -u origin feature/disk-report</code> pushes and sets the upstream.'
+                ]
+            },
+            {
+                id: 'rejected-push',
+                title: 'Recover from a rejected push',
+                description: 'A teammate pushed to main after your last fetch. Get your commit onto origin/main without losing theirs.',
+                start: exerciseRepos.behindOrigin,
+                goals: [
+                    { check: 'hasCommit', branch: 'main', message: 'Add contributing guide', label: "main contains your teammate's commit" },
+                    { check: 'hasCommit', branch: 'main', message: 'Mention winget', label: 'main contains your commit' },
+                    { check: 'pushed', branch: 'main', label: 'main pushed to origin' }
+                ],
+                hints: [
+                    'Try <code>git push</code> and read why it is rejected.',
+                    '<code>git pull</code> fetches your teammate\'s commit and merges it (or use <code>git pull --rebase</code>).',
+                    'Then <code>git push</code> again.'
+                ]
+            },
+            {
+                id: 'tag-release',
+                title: 'Tag a release',
+                description: 'main is ready to ship as version 1.0.0. Mark its latest commit with an annotated tag and publish the tag to origin.',
+                goals: [
+                    { check: 'tagged', tag: 'v1.0.0', branch: 'main', annotated: true, label: 'Annotated tag v1.0.0 on the tip of main' },
+                    { check: 'tagPushed', tag: 'v1.0.0', label: 'v1.0.0 is on origin' }
+                ],
+                hints: [
+                    '<code>git tag -a v1.0.0 -m "Version 1.0.0" main</code> tags main without switching to it.',
+                    'Pushing a branch does not push its tags: use <code>git push --tags</code> or <code>git push origin v1.0.0</code>.'
+                ]
+            }
+        ]
+    }
+];
+
+// Assertions exercise goals can use: each returns whether the goal currently
+// holds. `status` is getRepoStatus() and `commands` the lines run so far.
+const exerciseChecks = {
+    ran: (goal, status, commands) => {
+        const expected = goal.command.split(/\s+/);
+        return commands.some(command => {
+            const words = command.split(/\s+/);
+            return expected.every((word, i) => words[i] === word);
+        });
+    },
+    committed: (goal, status) => goal.path in getCommitFiles(getHeadCommit()) && !isPathChanged(goal.path, status),
+    uncommitted: (goal, status) => isPathChanged(goal.path, status),
+    untracked: (goal, status) => status.untracked.includes(goal.path),
+    ignored: (goal, status) => status.ignored.includes(goal.path),
+    clean: (goal, status) => ['staged', 'unstaged', 'untracked', 'unmerged'].every(kind => status[kind].length === 0),
+    configured: goal => Boolean(goal.scope
+        ? getConfigScopes()[goal.scope][normalizeConfigKey(goal.key)]
+        : getConfigValue(goal.key)),
+    onBranch: goal => currentBranchName() === goal.branch,
+    branchExists: goal => Boolean(simulatorState.refs[`refs/heads/${goal.branch}`]),
+    merged: goal => {
+        const branch = simulatorState.refs[`refs/heads/${goal.branch}`];
+        const into = simulatorState.refs[`refs/heads/${goal.into}`];
+        return Boolean(branch && into) && isAncestor(branch, into);
+    },
+    resolved: () => !simulatorState.mergeHead && !simulatorState.rebase && !simulatorState.sequencer &&
+        Object.keys(simulatorState.unmerged).length === 0,
+    contains: goal => (readHeadFile(goal.path) || '').includes(goal.text),
+    lacks: goal => readHeadFile(goal.path) !== null && !readHeadFile(goal.path).includes(goal.text),
+    absent: goal => readHeadFile(goal.path) === null && !(goal.path in simulatorState.workingTree),
+    stashed: () => simulatorState.stash.length > 0,
+    commitsAhead: goal => {
+        const branch = simulatorState.refs[`refs/heads/${goal.branch}`];
+        const base = simulatorState.refs[`refs/heads/${goal.base}`];
+        return Boolean(branch) && collectCommits(branch, base).length === goal.count;
+    },
+    hasCommit: goal => branchHasCommit(goal.branch, goal.message),
+    noCommit: goal => !branchHasCommit(goal.branch, goal.message),
+    pushed: goal => {
+        const local = simulatorState.refs[`refs/heads/${goal.branch}`];
+        return Boolean(local) && simulatorState.origin.refs[`refs/heads/${goal.branch}`] === local;
+    },
+    tracks: goal => simulatorState.upstreams[goal.branch] === goal.upstream,
+    tagged: goal => {
+        const tag = simulatorState.refs[`refs/tags/${goal.tag}`];
+        return Boolean(tag) && peelToCommit(tag) === simulatorState.refs[`refs/heads/${goal.branch}`] &&
+            (!goal.annotated || tag !== peelToCommit(tag));
+    },
+    tagPushed: goal => {
+        const tag = simulatorState.refs[`refs/tags/${goal.tag}`];
+        return Boolean(tag) && simulatorState.origin.refs[`refs/tags/${goal.tag}`] === tag;
+    }
+};
+
+function isPathChanged(path, status) {
+    return status.untracked.includes(path) ||
+        ['staged', 'unstaged', 'unmerged'].some(kind => status[kind].some(file => file.path === path));
+}
+
+// A file's content in the HEAD commit, or null when it isn't there
+function readHeadFile(path) {
+    const blob = getCommitFiles(getHeadCommit())[path];
+    return blob ? readObject(blob).content : null;
+}
+
+function branchHasCommit(branch, message) {
+    const tip = simulatorState.refs[`refs/heads/${branch}`];
+    return Boolean(tip) && collectCommits(tip, null).some(hash => readObject(hash).message.includes(message));
+}
+
+// Where the learner is: current track and exercise, hints revealed, commands
+// run since the exercise started, the ids of every finished exercise, and
+// whether the exercise is paused because another repository is open
+let exerciseProgress = { track: 0, index: 0, hintsShown: 0, commands: [], completed: {}, paused: false };
+
+function getCurrentExercise() {
+    return exerciseTracks[exerciseProgress.track].exercises[exerciseProgress.index];
+}
+
+// Load an exercise's starting repository and show its goals
+async function startExercise(track, index) {
+    exerciseProgress = { ...exerciseProgress, track, index, hintsShown: 0, commands: [], paused: false };
+    simulatorReady = loadStarterRepo(getCurrentExercise().start || simulatorStarterRepo);
+    await simulatorReady;
     
-    document.getElementById('commandOutput').innerHTML = '';
-    document.querySelectorAll('.achievement').forEach(a => {
-        a.classList.add('locked');
-        a.classList.remove('unlocked');
+    closeEditorFile();
+    clearTerminalOutput();
+    updateSimulatorDisplay();
+    resetTimeline();
+    updateStatus(`Exercise: ${getCurrentExercise().title}`);
+}
+
+function startExerciseTrack(section) {
+    const track = exerciseTracks.findIndex(candidate => candidate.section === section);
+    if (track !== -1) startExercise(track, 0);
+}
+
+// Re-evaluate the current exercise's goals; runs after every command and display update
+function checkExerciseProgress(command = null) {
+    const exercise = getCurrentExercise();
+    // Goals only make sense against the exercise's own repository
+    if (exerciseProgress.paused) {
+        updateExercisePanel(exercise.goals.map(() => false));
+        return;
+    }
+    if (command) exerciseProgress.commands.push(command);
+    
+    const status = getRepoStatus();
+    const results = exercise.goals.map(goal => exerciseChecks[goal.check](goal, status, exerciseProgress.commands));
+    const complete = results.every(Boolean);
+    const firstTime = complete && !exerciseProgress.completed[exercise.id];
+    if (firstTime) {
+        exerciseProgress.completed[exercise.id] = true;
+        recordTutorialEvent('exercise', { id: exercise.id });
+    }
+    // The command's own status message comes first, so announce after it
+    if (complete && (command || firstTime)) {
+        updateStatus(`🎉 Exercise complete: ${exercise.title}`);
+    }
+    updateExercisePanel(results);
+}
+
+function updateExercisePanel(results) {
+    const panel = document.getElementById('exercisePanel');
+    if (!panel) return;
+    
+    const exercise = getCurrentExercise();
+    const track = exerciseTracks[exerciseProgress.track];
+    const complete = results.every(Boolean);
+    
+    document.getElementById('exerciseTrack').innerHTML = exerciseTracks.map(candidate => {
+        const done = candidate.exercises.filter(item => exerciseProgress.completed[item.id]).length;
+        return `<option value="${candidate.section}" ${candidate === track ? 'selected' : ''}>${candidate.title} (${done}/${candidate.exercises.length})</option>`;
+    }).join('');
+    document.getElementById('exerciseTitle').textContent = `📋 Exercise ${exerciseProgress.index + 1} of ${track.exercises.length}: ${exercise.title}`;
+    document.getElementById('exerciseDescription').textContent = exerciseProgress.paused
+        ? '⏸️ Paused while another repository is open. Press "Reset Simulator" to go back to this exercise.'
+        : complete
+        ? `🎉 ${exercise.title} - done! Press "Next Exercise" when you're ready.`
+        : exercise.description;
+    document.getElementById('exerciseGoals').innerHTML = exercise.goals.map((goal, i) => `
+        <li class="exercise-goal ${results[i] ? 'done' : ''}">${results[i] ? '✅' : '⬜'} ${goal.label}</li>
+    `).join('');
+    
+    const hints = exercise.hints.slice(0, exerciseProgress.hintsShown);
+    const hintDiv = document.getElementById('exerciseHint');
+    hintDiv.innerHTML = hints.map(hint => `<p>💡 ${hint}</p>`).join('');
+    hintDiv.style.display = hints.length > 0 ? 'block' : 'none';
+    document.getElementById('exerciseHintButton').disabled = exerciseProgress.hintsShown >= exercise.hints.length;
+    
+    panel.classList.toggle('complete', complete);
+    const lastExercise = exerciseProgress.track === exerciseTracks.length - 1 && exerciseProgress.index === track.exercises.length - 1;
+    const nextButton = document.getElementById('nextExerciseButton');
+    if (nextButton) {
+        nextButton.textContent = lastExercise ? 'Continue the Tutorial →' : complete ? 'Next Exercise →' : 'Skip Exercise →';
+    }
+}
+
+// Another repository replaced the exercise's own; startExercise resumes
+function pauseExercise() {
+    exerciseProgress.paused = true;
+}
+
+function showExerciseHint() {
+    exerciseProgress.hintsShown++;
+    checkExerciseProgress();
+}
+
+// ---- Starter repository catalogue ----
+
+function renderStarterRepoOptions() {
+    const select = document.getElementById('starterRepoSelect');
+    if (!select) return;
+    select.innerHTML = [
+        '<option value="">📦 Open a starter repository…</option>',
+        ...Object.keys(starterRepoCatalogue).map(id => `<option value="${id}">${starterRepoCatalogue[id].title}</option>`)
+    ].join('');
+}
+
+// The project folder is named after the repository on origin
+function getRepoName() {
+    return simulatorState.origin.url.split('/').pop().replace(/\.git$/, '');
+}
+
+function updateProjectName() {
+    const heading = document.getElementById('simulatorProject');
+    if (heading) heading.textContent = `📁 ${getRepoName()}`;
+}
+
+// Swap in a fresh copy of a catalogue repository. The current exercise is
+// paused, and Reset Simulator goes back to the exercise's own repository.
+async function openStarterRepo(id) {
+    const entry = starterRepoCatalogue[id];
+    if (!entry) return;
+    
+    await simulatorReady;
+    simulatorReady = loadStarterRepo(entry.repo);
+    await simulatorReady;
+    
+    pauseExercise();
+    closeEditorFile();
+    clearTerminalOutput();
+    if (entry.repo.commits.length === 0) {
+        reportRepositoryInitialized(getRepoRoot());
+    } else {
+        appendToOutput(`Opened ${getRepoName()} (${entry.title}) on branch ${currentBranchName()}`, 'output');
+    }
+    updateSimulatorDisplay();
+    resetTimeline();
+    updateStatus(`${entry.title} ready - run git status to look around`);
+    document.getElementById('starterRepoSelect').value = '';
+}
+
+// The simulator holds one repository, so `git init` either reinitializes it or
+// starts a new project next to it in the home folder and moves the terminal there
+function executeGitInit(args) {
+    const parsed = parseGitOptions('init', args);
+    if (!parsed) return;
+    const { quiet } = parsed.options;
+    const initialBranch = parsed.options['initial-branch'];
+    if (parsed.operands.length > 1) {
+        appendToOutput(`usage: ${gitCommandSpecs.init.usage}`, 'error');
+        return;
+    }
+    
+    const target = resolveAbsolutePath(parsed.operands[0] || '.');
+    if (target === getRepoRoot()) {
+        if (initialBranch) appendToOutput(`warning: re-init: ignored --initial-branch=${initialBranch}`, 'error');
+        if (!quiet) appendToOutput(`Reinitialized existing Git repository in ${target}/.git/`, 'output');
+        updateStatus('The repository was already here - nothing changed');
+        return;
+    }
+    if (target.startsWith(`${getRepoRoot()}/`)) {
+        appendToOutput('fatal: the simulator keeps one repository at a time and cannot nest another inside it', 'error');
+        appendToOutput(`hint: run 'git init ~/${target.split('/').pop()}' to start a new project next to this one`, 'error');
+        return;
+    }
+    if (parentPath(target) !== shellHome) {
+        appendToOutput(`fatal: cannot mkdir ${parsed.operands[0]}: the simulator only has room for projects in ${shellHome}`, 'error');
+        return;
+    }
+    if (initialBranch && !isValidBranchName(initialBranch)) {
+        appendToOutput(`fatal: invalid initial branch name: '${initialBranch}'`, 'error');
+        return;
+    }
+    
+    const hasWork = Object.keys(simulatorState.refs).length > 0 || Object.keys(simulatorState.workingTree).length > 0;
+    if (hasWork && !confirm(`Start a new project in ${target}? ${getRepoName()} will be closed (Undo brings it back).`)) {
+        appendToOutput(`Cancelled - still in ${getRepoRoot()}`, 'output');
+        updateStatus(`Kept working in ${getRepoName()}`);
+        return;
+    }
+    
+    // The object store is kept, so the timeline can still step back into the old project
+    const name = target.split('/').pop();
+    const remoteUrl = simulatorState.origin.url.replace(/[^/]*$/, `${name}.git`);
+    simulatorState = { ...createEmptySimulatorState(), objects: simulatorState.objects };
+    simulatorState.origin.url = remoteUrl;
+    simulatorState.HEAD = `ref: refs/heads/${initialBranch || getDefaultBranchName()}`;
+    
+    pauseExercise();
+    closeEditorFile();
+    if (!quiet) reportRepositoryInitialized(target, Boolean(initialBranch));
+    updateSimulatorDisplay();
+    updateStatus(`Now in ${target} - a brand-new, empty repository`);
+}
+
+// ---- Saving, export and import ----
+
+const simulatorStorageKey = 'github-tutorial-simulator';
+const repoExportFormat = 'github101-simulator-repo';
+
+// Terminal lines as { text, type }, so the scrollback can be saved and replayed
+let terminalScrollback = [];
+const maxScrollbackLines = 500;
+
+// Save the repo, scrollback, exercise and command history so a reload picks up where the learner left off
+function saveSimulatorState() {
+    try {
+        localStorage.setItem(simulatorStorageKey, JSON.stringify({
+            state: simulatorState,
+            scrollback: terminalScrollback,
+            exercise: exerciseProgress,
+            history: commandHistory
+        }));
+    } catch (error) {
+        // Storage can be full or disabled; the simulator still works without it
+    }
+}
+
+// Restore the last saved session; false when there is none or it can't be used
+function restoreSimulatorState() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(simulatorStorageKey));
+    } catch (error) {
+        return false;
+    }
+    if (!saved || validateRepoSnapshot(saved.state)) return false;
+    
+    // Sessions saved before achievements had their own storage kept them in the repo state
+    const { achievements, ...state } = saved.state;
+    Object.keys(achievements || {}).filter(id => achievements[id] && !achievementProgress.unlocked[id]).forEach(id => {
+        achievementProgress.unlocked[id] = Date.now();
     });
+    saveAchievementProgress();
+    updateAchievementBadges();
+    
+    simulatorState = { ...createEmptySimulatorState(), ...state };
+    if (saved.exercise && exerciseTracks[saved.exercise.track] &&
+        exerciseTracks[saved.exercise.track].exercises[saved.exercise.index]) {
+        exerciseProgress = saved.exercise;
+    }
+    commandHistory = Array.isArray(saved.history) ? saved.history : [];
+    historyPosition = commandHistory.length;
+    
+    clearTerminalOutput();
+    (saved.scrollback || []).forEach(line => appendToOutput(line.text, line.type));
+    updateSimulatorDisplay();
+    resetTimeline('(page reloaded - undo and redo start again here)');
+    return true;
+}
+
+function isObjectId(hash) {
+    return typeof hash === 'string' && /^[0-9a-f]{40}$/.test(hash);
+}
+
+function isSignature(signature) {
+    return Boolean(signature) && typeof signature.name === 'string' && typeof signature.email === 'string' &&
+        Number.isInteger(signature.timestamp) && typeof signature.timezone === 'string';
+}
+
+// What's wrong with one stored object's fields, or null when it has the shape hashObject expects
+function describeBadObject(object) {
+    if (!object || typeof object !== 'object') return 'is not an object';
+    switch (object.type) {
+        case 'blob':
+            return typeof object.content === 'string' ? null : 'has no content';
+        case 'tree':
+            return Array.isArray(object.entries) && object.entries.every(entry => entry &&
+                typeof entry.mode === 'string' && typeof entry.name === 'string' && isObjectId(entry.hash))
+                ? null : 'has a malformed entry';
+        case 'commit':
+            if (!isObjectId(object.tree) || !Array.isArray(object.parents) || !object.parents.every(isObjectId)) {
+                return 'has a malformed tree or parent';
+            }
+            return isSignature(object.author) && isSignature(object.committer) && typeof object.message === 'string'
+                ? null : 'has a malformed author, committer or message';
+        case 'tag':
+            return isObjectId(object.object) && typeof object.objectType === 'string' && typeof object.tag === 'string' &&
+                isSignature(object.tagger) && typeof object.message === 'string'
+                ? null : 'has a malformed target, tagger or message';
+        default:
+            return `has unknown type ${object.type}`;
+    }
+}
+
+// Why a saved or imported repository can't be loaded, or null when it can
+function validateRepoSnapshot(repo) {
+    if (!repo || typeof repo !== 'object') return 'not a simulator repository';
+    const { objects, refs, HEAD, index, workingTree } = repo;
+    if (!objects || !refs || !index || !workingTree || typeof HEAD !== 'string') {
+        return 'objects, refs, HEAD, index and workingTree are required';
+    }
+    // Ids end up in commands and in the graph's markup, so only real SHA-1s get in
+    const badId = Object.keys(objects).find(hash => !isObjectId(hash));
+    if (badId !== undefined) return `object id ${badId} is not a SHA-1`;
+    const badObject = Object.keys(objects).find(hash => describeBadObject(objects[hash]));
+    if (badObject) return `object ${shortHash(badObject)} ${describeBadObject(objects[badObject])}`;
+    // Walk everything reachable from our refs, origin's refs and the stash, so a
+    // broken history is refused now rather than failing later with "bad object"
+    const originRefs = (repo.origin && repo.origin.refs) || {};
+    const stash = Array.isArray(repo.stash) ? repo.stash : [];
+    const badRef = [
+        ...Object.keys(refs).filter(ref => !isObjectId(refs[ref])),
+        ...Object.keys(originRefs).filter(ref => !isObjectId(originRefs[ref])).map(ref => `origin's ${ref}`),
+        ...stash.map((hash, position) => isObjectId(hash) ? null : `stash@{${position}}`).filter(Boolean)
+    ][0];
+    if (badRef) return `${badRef} does not hold a SHA-1`;
+    const pending = [
+        ...Object.keys(refs).map(ref => ({ hash: refs[ref], from: ref })),
+        ...Object.keys(originRefs).map(ref => ({ hash: originRefs[ref], from: `origin's ${ref}` })),
+        ...stash.map((hash, position) => ({ hash, from: `stash@{${position}}` }))
+    ];
+    const checked = new Set();
+    while (pending.length > 0) {
+        const { hash, from } = pending.pop();
+        if (checked.has(hash)) continue;
+        checked.add(hash);
+        const object = objects[hash];
+        if (!object) return `${from} points to a missing object`;
+        if (object.type === 'commit') {
+            const name = `commit ${shortHash(hash)}`;
+            pending.push({ hash: object.tree, from: name }, ...object.parents.map(parent => ({ hash: parent, from: name })));
+        } else if (object.type === 'tree') {
+            object.entries.forEach(entry => pending.push({ hash: entry.hash, from: `tree ${shortHash(hash)}` }));
+        } else if (object.type === 'tag') {
+            pending.push({ hash: object.object, from: `tag ${object.tag}` });
+        }
+    }
+    if (!HEAD.startsWith('ref: ') && !isObjectId(HEAD)) return 'HEAD is neither a ref nor a SHA-1';
+    const headCommit = HEAD.startsWith('ref: ') ? refs[HEAD.slice(5)] : HEAD;
+    if (headCommit && !objects[headCommit]) return 'HEAD points to a missing object';
+    const missingBlob = Object.keys(index).find(path => !isObjectId(index[path]) || !objects[index[path]]);
+    if (missingBlob) return `index entry ${missingBlob} points to a missing object`;
+    return null;
+}
+
+// Download the repository as JSON, e.g. for a mentor to hand out a prepared repo
+function exportRepo() {
+    const data = JSON.stringify({ format: repoExportFormat, version: 1, repo: simulatorState }, null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+    link.download = `${(currentBranchName() || 'detached').replace(/\//g, '-')}-repo.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    updateStatus('Repository exported');
+}
+
+function chooseRepoFile() {
+    document.getElementById('importRepoFile').click();
+}
+
+// Replace the repository with one exported earlier
+async function importRepo(file) {
+    if (!file) return;
+    
+    let repo;
+    try {
+        const data = JSON.parse(await file.text());
+        repo = data.format === repoExportFormat ? data.repo : null;
+    } catch (error) {
+        repo = null;
+    }
+    let problem = repo ? validateRepoSnapshot(repo) : 'not a simulator repository export';
+    if (!problem) {
+        // An object stored under someone else's id would make every later hash lie
+        await simulatorReady;
+        for (const hash of Object.keys(repo.objects)) {
+            if (await hashObject(repo.objects[hash]) !== hash) {
+                problem = `object ${shortHash(hash)} does not match its id`;
+                break;
+            }
+        }
+    }
+    if (problem) {
+        appendToOutput(`error: cannot import ${file.name}: ${problem}`, 'error');
+        updateStatus('Import failed - choose a file made with "Export Repo"');
+        return;
+    }
+    
+    simulatorState = { ...createEmptySimulatorState(), ...repo };
+    closeEditorFile();
+    clearTerminalOutput();
+    appendToOutput(`Imported repository from ${file.name}`, 'output');
+    updateSimulatorDisplay();
+    resetTimeline();
+    updateStatus(`Imported ${file.name} - run git status to see where things stand`);
+}
+
+// ---- Timeline (undo / time travel) ----
+
+// A snapshot of the repo after every command, oldest first, with the terminal
+// as it looked at that point. Changes made with the mouse - the file editor,
+// drag and drop, the conflict and rebase editors, teammate pushes - are steps
+// too, labelled in parentheses, so undo and redo never lose them. Objects are
+// never deleted from the store, so snapshots leave them out and share the one
+// store - like unreachable objects in a real repository, commits from an
+// abandoned future just stay behind. Only the step being viewed is saved, so
+// after a reload the timeline starts again from there.
+let simulatorTimeline = [];
+let timelinePosition = 0;
+const maxTimelineSteps = 200;
+
+function captureTimelineStep(command) {
+    const { objects, ...repo } = simulatorState;
+    return { command, repo: JSON.parse(JSON.stringify(repo)), scrollback: [...terminalScrollback], paused: exerciseProgress.paused };
+}
+
+function resetTimeline(label = null) {
+    simulatorTimeline = [captureTimelineStep(label)];
+    timelinePosition = 0;
+    updateTimeline();
+}
+
+// After a command: steps after the one being viewed are discarded, like redo after an undo
+function recordTimelineStep(command) {
+    simulatorTimeline = simulatorTimeline.slice(0, timelinePosition + 1);
+    simulatorTimeline.push(captureTimelineStep(command));
+    if (simulatorTimeline.length > maxTimelineSteps) {
+        simulatorTimeline.shift();
+    }
+    timelinePosition = simulatorTimeline.length - 1;
+    updateTimeline();
+}
+
+function travelToStep(position) {
+    const target = Math.min(Math.max(position, 0), simulatorTimeline.length - 1);
+    if (target === timelinePosition) return;
+    
+    const backwards = target < timelinePosition;
+    timelinePosition = target;
+    const step = simulatorTimeline[target];
+    simulatorState = {
+        ...createEmptySimulatorState(),
+        ...JSON.parse(JSON.stringify(step.repo)),
+        objects: simulatorState.objects
+    };
+    // Stepping back past a git init returns to the exercise's own repository
+    exerciseProgress.paused = step.paused;
+    clearTerminalOutput();
+    step.scrollback.forEach(line => appendToOutput(line.text, line.type));
+    
+    updateSimulatorDisplay();
+    updateTimeline();
+    updateStatus(target === simulatorTimeline.length - 1
+        ? 'Back at the latest step'
+        : `Viewing step ${target} of ${simulatorTimeline.length - 1} - run a command to continue from here`);
+    if (backwards) recordTutorialEvent('time-travel');
+}
+
+function stepTimeline(step) {
+    travelToStep(timelinePosition + step);
+}
+
+function updateTimeline() {
+    const slider = document.getElementById('timelineSlider');
+    if (!slider) return;
+    
+    const last = simulatorTimeline.length - 1;
+    slider.max = last;
+    slider.value = timelinePosition;
+    slider.disabled = last === 0;
+    document.getElementById('timelineBack').disabled = timelinePosition === 0;
+    document.getElementById('timelineForward').disabled = timelinePosition === last;
     
+    const { command } = simulatorTimeline[timelinePosition];
+    document.getElementById('timelineLabel').textContent = command
+        ? `Step ${timelinePosition} of ${last}: ${command}`
+        : `Start (${last} step${last !== 1 ? 's' : ''} recorded)`;
+}
+
+// Reset simulator: start the current exercise over
+async function resetSimulator() {
+    await startExercise(exerciseProgress.track, exerciseProgress.index);
     updateSimulatorDisplay();
     updateStatus('Simulator reset - ready to practice!');
 }
 
-// Continue to next exercise
+// Continue to the next exercise, across tracks, then on through the tutorial
 function nextExercise() {
-    navigateToSection('branching');
-    updateStatus('Great job! Now learn about branching and merging.');
+    const { track, index } = exerciseProgress;
+    if (index + 1 < exerciseTracks[track].exercises.length) {
+        return startExercise(track, index + 1);
+    } else if (track + 1 < exerciseTracks.length) {
+        return startExercise(track + 1, 0);
+    } else {
+        navigateToSection('branching');
+        updateStatus('Great job! Now learn about branching and merging.');
+    }
 }
 
 // Initialize simulator when DOM loads
@@ -4795,6 +11901,7 @@ function submitQuiz() {
     
     // Show results
     showQuizResults(correctAnswers, percentage, passed);
+    recordTutorialEvent('quiz', { percentage, passed });
     
     // If passed, show certificate form
     if (passed) {